@@ -9,7 +9,8 @@ import { defineField, defineType } from 'sanity';
  *
  * Usage in Sanity Studio:
  * - Create categories first before assigning them to photos
- * - Categories will appear as filter options in the portfolio gallery
+ * - Categories will appear as filter options in the portfolio gallery, sorted by
+ *   Display Order; categories without any photos are hidden
  * - The slug field is auto-generated from the title for URL-friendly references
  */
 export default defineType({
@@ -45,6 +46,13 @@ export default defineType({
       type: 'text',
       rows: 3,
       description: 'Optional description of what this category represents'
+    }),
+    defineField({
+      name: 'order',
+      title: 'Display Order',
+      type: 'number',
+      description: 'Position in the gallery filter bar (lower numbers appear first)',
+      initialValue: 0
     })
   ],
   preview: {
@@ -61,6 +69,14 @@ export default defineType({
     }
   },
   orderings: [
+    {
+      title: 'Display Order',
+      name: 'customOrder',
+      by: [
+        { field: 'order', direction: 'asc' },
+        { field: 'title', direction: 'asc' }
+      ]
+    },
     {
       title: 'Title A-Z',
       name: 'titleAsc',
@@ -129,6 +129,20 @@ export default defineType({
       by: [
         { field: 'date', direction: 'desc' }
       ]
+    },
+    {
+      title: 'Date Oldest First',
+      name: 'dateAsc',
+      by: [
+        { field: 'date', direction: 'asc' }
+      ]
+    },
+    {
+      title: 'Location A-Z',
+      name: 'locationAsc',
+      by: [
+        { field: 'location', direction: 'asc' }
+      ]
     }
   ]
 });
\ No newline at end of file
@@ -29,15 +29,46 @@ export const sanityConfig = {
   // Format: 'vYYYY-MM-DD' (e.g., 'v2024-01-01')
   apiVersion: 'v2024-01-01',
 
+  // API host for GROQ queries - null uses https://<projectId>.api.sanity.io
+  // Set to 'http://localhost:3333' to query the local mock (tools/mock-sanity.mjs)
+  apiHost: null,
+
   // CDN URL for Sanity images
   // This is used by the image URL builder in sanity-client.js
   cdnUrl: 'https://cdn.sanity.io',
 
   // Optional: API token for authenticated requests (if needed)
   // token: 'your-api-token-here', // Uncomment if you need authenticated queries
+  // Never commit a token here for draft previews - preview tokens are supplied
+  // at runtime through the preview URL (see previewConfig below)
+
+  // Allow draft preview mode to be switched on via URL. Off by default, so a
+  // ?preview= value does nothing on a site that hasn't opted in; set to true
+  // here (or via window.__SANITY_CONFIG__) for the deployment that previews drafts
+  previewMode: false,
+};
+
+// Runtime overrides, e.g. apiHost/cdnUrl injected by the local mock server or a test
+// harness as window.__SANITY_CONFIG__ before the page scripts load
+if (typeof globalThis !== 'undefined' && globalThis.__SANITY_CONFIG__) {
+  Object.assign(sanityConfig, globalThis.__SANITY_CONFIG__);
+}
+
+/**
+ * Draft Preview Settings
+ * Preview mode queries drafts with a viewer token supplied at runtime:
+ * - Visit any page with ?preview=<token> to enter preview mode
+ * - Visit with ?preview=exit (or use the banner link) to leave
+ */
+export const previewConfig = {
+  // URL parameter that enters (with a token) or exits ('exit') preview mode
+  queryParam: 'preview',
 
-  // Optional: Enable preview mode (for draft content)
-  // previewMode: false, // Set to true when implementing preview functionality
+  // sessionStorage key the token is kept under for the rest of the visit
+  storageKey: 'katgrapher-preview-token',
+
+  // Sanity perspective used for preview queries
+  perspective: 'previewDrafts',
 };
 
 /**
@@ -64,6 +95,65 @@ export const imageDefaults = {
 
   // Fallback format if webp is not supported
   fallbackFormat: 'jpg',
+
+  // Modern formats offered as <picture> sources, best first
+  sourceFormats: ['avif', 'webp'],
+
+  // Device pixel ratios to generate srcset candidates for
+  pixelDensities: [1, 1.5, 2, 3],
+};
+
+/**
+ * Image Layouts
+ * Rendered size and `sizes` attribute for each place images appear.
+ * Width/height describe the 1x rendition; srcset adds higher densities.
+ */
+export const imageLayouts = {
+  // Project cards on the index page (aspect-video, 3 columns on desktop)
+  projectCard: {
+    width: 600,
+    height: 338,
+    fit: 'crop',
+    sizes: '(min-width: 1024px) 33vw, (min-width: 768px) 50vw, 100vw',
+  },
+
+  // Hero image on a project page (aspect-video, max-w-5xl column)
+  projectDetail: {
+    width: 1024,
+    height: 576,
+    fit: 'crop',
+    sizes: '(min-width: 1024px) 1024px, 100vw',
+  },
+
+  // Featured photo tiles on the index page (2x2 square grid)
+  photoTeaser: {
+    width: 400,
+    height: 400,
+    fit: 'crop',
+    sizes: '(min-width: 1024px) 25vw, 50vw',
+  },
+
+  // Gallery tiles (square grid, up to 4 columns)
+  galleryTile: {
+    width: 400,
+    height: 400,
+    fit: 'crop',
+    sizes: '(min-width: 1280px) 25vw, (min-width: 1024px) 33vw, (min-width: 640px) 50vw, 100vw',
+  },
+
+  // Gallery tiles in the justified and masonry layouts (uncropped, so no height)
+  galleryTileNatural: {
+    width: 600,
+    fit: 'max',
+    sizes: '(min-width: 1280px) 33vw, (min-width: 640px) 50vw, 100vw',
+  },
+
+  // Full image in the lightbox (max-w-4xl container)
+  lightbox: {
+    width: 896,
+    fit: 'max',
+    sizes: '(min-width: 896px) 896px, 100vw',
+  },
 };
 
 /**
@@ -77,14 +167,39 @@ export const galleryConfig = {
   // Number of photos to load when "Load More" is clicked
   loadMoreCount: 8,
 
+  // Tile layout: 'grid' (square tiles), 'justified' (rows that fill the width and keep
+  // each photo's shape) or 'masonry' (columns of uncropped photos)
+  layout: 'grid',
+
+  // Target row height for the justified layout (in pixels); full rows are scaled to fit the width
+  justifiedRowHeight: 280,
+
+  // Gallery sort used when the URL doesn't choose one (a key of photoSorts in queries.js)
+  defaultSort: 'customOrder',
+
+  // Delay after the last keystroke before the gallery search runs (in milliseconds)
+  searchDebounce: 300,
+
   // Maximum number of photos to show in lightbox
   maxLightboxPhotos: 50,
 
-  // Enable infinite scroll (alternative to load more button)
+  // Enable infinite scroll (the load more button stays available to keyboard and screen reader users)
   enableInfiniteScroll: false,
 
+  // How far below the viewport the next page starts loading in infinite scroll mode
+  infiniteScrollMargin: '600px',
+
+  // Only mount the gallery tiles near the viewport, so large collections stay smooth on phones
+  virtualize: true,
+
+  // How far above and below the viewport tiles stay mounted in the virtualized grid (in pixels)
+  virtualOverscan: 800,
+
   // Animation duration for transitions (in milliseconds)
   animationDuration: 300,
+
+  // Tint hover overlays, teaser tiles and the lightbox with each photo's palette colours
+  paletteAccents: true,
 };
 
 /**
@@ -103,6 +218,17 @@ export const projectConfig = {
 
   // Show completion date
   showCompletionDate: false,
+
+  // Labels for the project schema's projectType values
+  typeLabels: {
+    'full-website': 'Full Website',
+    'web-app': 'Web Application',
+    'ecommerce': 'E-commerce',
+    'portfolio': 'Portfolio Site',
+    'landing-page': 'Landing Page',
+    'blog-cms': 'Blog/CMS',
+    'other': 'Other',
+  },
 };
 
 /**
@@ -118,4 +244,76 @@ export const queryLimits = {
 
   // Maximum number of categories to fetch
   maxCategories: 50,
-};
\ No newline at end of file
+};
+
+/**
+ * Live Update Settings
+ * Opt-in live mode that patches cards as content is published in Sanity
+ */
+export const liveConfig = {
+  // Enable live updates for every visitor (otherwise opt in with ?live=1)
+  enabled: false,
+
+  // URL parameter that switches live mode on ('1') or off ('0')
+  queryParam: 'live',
+
+  // Document types to subscribe to
+  types: ['photo', 'project', 'category'],
+
+  // Override the listen API host, e.g. 'http://localhost:3334' for tools/listen-server.mjs
+  // null uses sanityConfig.apiHost, falling back to the Sanity API
+  listenHost: null,
+
+  // Delay in ms before the preview (token-authenticated) listen stream reconnects
+  reconnectDelay: 3000,
+};
+
+/**
+ * Request Retry Settings
+ * Retry, backoff and circuit breaker behaviour for Sanity API requests
+ */
+export const retryConfig = {
+  // Maximum number of retries after the first attempt
+  maxRetries: 3,
+
+  // Base delay (in milliseconds) for exponential backoff
+  baseDelay: 500,
+
+  // Upper bound (in milliseconds) for a single backoff delay
+  maxDelay: 8000,
+
+  // Longest Retry-After (in milliseconds) we are willing to wait for
+  maxRetryAfter: 30000,
+
+  // Per-attempt request timeout (in milliseconds)
+  timeout: 30000,
+
+  // HTTP status codes that are safe to retry
+  retryStatuses: [408, 429, 500, 502, 503, 504],
+
+  // Consecutive failed requests before the circuit breaker opens
+  failureThreshold: 5,
+
+  // Time (in milliseconds) the circuit stays open before a trial request
+  resetTimeout: 30000,
+};
+
+/**
+ * Query Cache Settings
+ * Stale-while-revalidate caching for fetchSanity results
+ */
+export const cacheConfig = {
+  // Enable caching of GROQ query results
+  enabled: true,
+
+  // Time (in milliseconds) a cached result is considered fresh.
+  // Stale results are still served instantly but refreshed in the background.
+  ttl: 5 * 60 * 1000,
+
+  // Maximum age (in milliseconds) before a cached result is discarded entirely
+  maxAge: 7 * 24 * 60 * 60 * 1000,
+
+  // IndexedDB database and object store names
+  dbName: 'katgrapher-sanity-cache',
+  storeName: 'queries',
+};
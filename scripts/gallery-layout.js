@@ -0,0 +1,327 @@
+/**
+ * Gallery Layouts for katgrapher.studio
+ *
+ * This module arranges the tiles in #photo-grid according to
+ * galleryConfig.layout. The square grid is plain CSS; the justified and
+ * masonry layouts size each tile from its photo's aspect ratio (from the
+ * asset's metadata.dimensions, after the editor's crop) so nothing is
+ * cropped to a square.
+ *
+ * Features:
+ * - 'grid': square tiles in responsive columns
+ * - 'justified': rows of equal height that exactly fill the width
+ * - 'masonry': responsive columns of uncropped tiles, in reading order
+ * - Reflows when the grid is resized and whenever tiles are added or replaced
+ * - Tile positions computed in script for the virtualized grid (virtual-grid.js)
+ */
+
+import { galleryConfig } from './config.js';
+import { getImageDimensions } from './sanity-client.js';
+
+// Layouts galleryConfig.layout can choose
+export const GALLERY_LAYOUTS = ['grid', 'justified', 'masonry'];
+
+// Height of one implicit grid row in the masonry layout (tiles span as many as they need)
+const MASONRY_ROW_UNIT = 4;
+
+// Gap between tiles when it can't be read from the stylesheet (gap-6)
+const DEFAULT_GAP = 24;
+
+// Columns in the grid and masonry layouts from each Tailwind breakpoint up (xl, lg, sm, base)
+const BREAKPOINT_COLUMNS = [[1280, 4], [1024, 3], [640, 2], [0, 1]];
+
+// Classes #photo-grid gets for each layout
+const LAYOUT_CLASSES = {
+  grid: ['grid', 'grid-cols-1', 'sm:grid-cols-2', 'lg:grid-cols-3', 'xl:grid-cols-4', 'gap-6'],
+  justified: ['flex', 'flex-wrap', 'gap-6'],
+  masonry: ['grid', 'grid-cols-1', 'sm:grid-cols-2', 'lg:grid-cols-3', 'xl:grid-cols-4', 'gap-x-6', 'auto-rows-[4px]', 'items-start'],
+};
+
+// Observers watching the grid, if a sized layout is running
+let resizeObserver = null;
+let mutationObserver = null;
+
+// Pending reflow frame
+let reflowFrame = null;
+
+/**
+ * Get the configured gallery layout
+ *
+ * @returns {string} 'grid', 'justified' or 'masonry'
+ */
+export function getGalleryLayout() {
+  return GALLERY_LAYOUTS.includes(galleryConfig.layout) ? galleryConfig.layout : 'grid';
+}
+
+/**
+ * Get the width / height ratio a photo is shown at
+ * Uses the asset's metadata.dimensions, adjusted for the editor's crop, and
+ * falls back to the dimensions in the asset ID.
+ *
+ * @param {object} image - Sanity image object
+ * @returns {number} Aspect ratio (1 if unknown)
+ */
+export function getPhotoAspectRatio(image) {
+  const dimensions = image?.asset?.metadata?.dimensions;
+
+  if (dimensions?.width > 0 && dimensions?.height > 0) {
+    const { top = 0, bottom = 0, left = 0, right = 0 } = image.crop || {};
+    const croppedWidth = dimensions.width * (1 - left - right);
+    const croppedHeight = dimensions.height * (1 - top - bottom);
+    if (croppedWidth > 0 && croppedHeight > 0) {
+      return croppedWidth / croppedHeight;
+    }
+  }
+
+  const fallback = image ? getImageDimensions(image) : null;
+  return fallback ? fallback.width / fallback.height : 1;
+}
+
+/**
+ * Apply the configured layout to the gallery grid
+ * Call before the first page is painted so tiles never show in the wrong layout.
+ *
+ * @returns {Function|null} Function that stops reflowing, or null for the square grid
+ */
+export function initGalleryLayout() {
+  const photoGrid = document.getElementById('photo-grid');
+  if (!photoGrid) {
+    return null;
+  }
+
+  stopGalleryLayout();
+
+  const layout = getGalleryLayout();
+  Object.values(LAYOUT_CLASSES).forEach(classes => photoGrid.classList.remove(...classes));
+  photoGrid.classList.add(...LAYOUT_CLASSES[layout]);
+  photoGrid.dataset.layout = layout;
+
+  // The square grid needs no measuring
+  if (layout === 'grid') {
+    return null;
+  }
+
+  const scheduleReflow = () => {
+    if (reflowFrame === null) {
+      reflowFrame = requestAnimationFrame(() => {
+        reflowFrame = null;
+        reflowGallery(photoGrid);
+      });
+    }
+  };
+
+  // Page appends, filter changes and live updates all replace grid children
+  mutationObserver = new MutationObserver(scheduleReflow);
+  mutationObserver.observe(photoGrid, { childList: true });
+
+  // Only width changes matter; reflowing changes the height
+  let lastWidth = photoGrid.clientWidth;
+  if (typeof ResizeObserver !== 'undefined') {
+    resizeObserver = new ResizeObserver(() => {
+      if (photoGrid.clientWidth !== lastWidth) {
+        lastWidth = photoGrid.clientWidth;
+        scheduleReflow();
+      }
+    });
+    resizeObserver.observe(photoGrid);
+  } else {
+    window.addEventListener('resize', scheduleReflow);
+  }
+
+  reflowGallery(photoGrid);
+  console.log(`Gallery layout initialized (${layout})`);
+
+  return stopGalleryLayout;
+}
+
+/**
+ * Stop reflowing the gallery
+ */
+export function stopGalleryLayout() {
+  resizeObserver?.disconnect();
+  resizeObserver = null;
+  mutationObserver?.disconnect();
+  mutationObserver = null;
+
+  if (reflowFrame !== null) {
+    cancelAnimationFrame(reflowFrame);
+    reflowFrame = null;
+  }
+}
+
+/**
+ * Size the tiles for the grid's current layout and width
+ *
+ * @param {HTMLElement} photoGrid - Gallery grid element
+ */
+export function reflowGallery(photoGrid) {
+  const layout = photoGrid.dataset.layout;
+  const width = photoGrid.clientWidth;
+
+  // The virtualized grid positions its own tiles
+  if (!width || photoGrid.dataset.virtual) {
+    return;
+  }
+
+  const gap = getGridGap(photoGrid);
+  const children = Array.from(photoGrid.children);
+
+  if (layout === 'justified') {
+    layoutJustifiedRows(children, width, gap);
+  } else if (layout === 'masonry') {
+    layoutMasonry(children, gap);
+  }
+}
+
+/**
+ * Size tiles into rows whose heights make them exactly fill the width
+ *
+ * @param {Array<HTMLElement>} children - Grid children
+ * @param {number} width - Grid width in pixels
+ * @param {number} gap - Gap between tiles in pixels
+ */
+function layoutJustifiedRows(children, width, gap) {
+  // Loading, empty and error states take a row of their own
+  const tiles = children.filter(child => {
+    if (!child.dataset.aspectRatio) {
+      child.style.flexBasis = '100%';
+      return false;
+    }
+    return true;
+  });
+
+  getJustifiedRows(tiles.map(getTileRatio), width, gap).forEach(row => {
+    row.widths.forEach((tileWidth, index) => {
+      const tile = tiles[row.start + index];
+      tile.style.flex = 'none';
+      tile.style.width = `${tileWidth}px`;
+      tile.style.height = `${row.height}px`;
+    });
+  });
+}
+
+/**
+ * Break photos into rows whose heights make them exactly fill the width
+ * The last row keeps the target height instead of being stretched.
+ *
+ * @param {Array<number>} ratios - Aspect ratio of each photo, in order
+ * @param {number} width - Grid width in pixels
+ * @param {number} gap - Gap between tiles in pixels
+ * @returns {Array<object>} Rows with start (index of the first photo), height and tile widths
+ */
+function getJustifiedRows(ratios, width, gap) {
+  // Keep rows from getting taller than the screen on phones
+  const targetHeight = Math.min(galleryConfig.justifiedRowHeight, width * 0.75);
+  const rows = [];
+  let start = 0;
+  let ratioSum = 0;
+
+  const addRow = (end, height, isFull) => {
+    const widths = ratios.slice(start, end).map(ratio => Math.floor(ratio * height));
+
+    // Give the rounding remainder to the last tile of a full row so the edges line up
+    if (isFull) {
+      const used = widths.reduce((sum, tileWidth) => sum + tileWidth, 0) + gap * (widths.length - 1);
+      widths[widths.length - 1] += Math.max(0, Math.floor(width - used));
+    }
+
+    rows.push({ start, height: Math.round(height), widths });
+    start = end;
+    ratioSum = 0;
+  };
+
+  ratios.forEach((ratio, index) => {
+    ratioSum += ratio;
+
+    const rowHeight = (width - gap * (index - start)) / ratioSum;
+    if (rowHeight <= targetHeight) {
+      addRow(index + 1, rowHeight, true);
+    }
+  });
+
+  if (start < ratios.length) {
+    addRow(ratios.length, targetHeight, false);
+  }
+
+  return rows;
+}
+
+/**
+ * Make each tile span enough implicit grid rows for its height
+ *
+ * @param {Array<HTMLElement>} children - Grid children
+ * @param {number} gap - Gap between tiles in pixels
+ */
+function layoutMasonry(children, gap) {
+  children.forEach(child => {
+    child.style.marginBottom = `${gap}px`;
+    child.style.gridRowEnd = `span ${Math.ceil((child.offsetHeight + gap) / MASONRY_ROW_UNIT)}`;
+  });
+}
+
+/**
+ * Work out where each tile goes without relying on CSS
+ * Used by the virtualized grid, which positions tiles absolutely.
+ *
+ * @param {Array<number>} ratios - Aspect ratio of each photo, in order
+ * @param {number} width - Grid width in pixels
+ * @param {number} gap - Gap between tiles in pixels
+ * @returns {object} Object with rects ({ top, left, width, height } per photo) and the total height
+ */
+export function computeTileRects(ratios, width, gap = DEFAULT_GAP) {
+  const layout = getGalleryLayout();
+
+  if (layout === 'justified') {
+    const rects = [];
+    let top = 0;
+
+    getJustifiedRows(ratios, width, gap).forEach(row => {
+      let left = 0;
+      row.widths.forEach(tileWidth => {
+        rects.push({ top, left, width: tileWidth, height: row.height });
+        left += tileWidth + gap;
+      });
+      top += row.height + gap;
+    });
+
+    return { rects, height: Math.max(0, top - gap) };
+  }
+
+  const columnCount = BREAKPOINT_COLUMNS.find(([minWidth]) => window.innerWidth >= minWidth)[1];
+  const columnWidth = (width - gap * (columnCount - 1)) / columnCount;
+  const columnHeights = new Array(columnCount).fill(0);
+
+  // Square tiles fill the columns in turn; masonry tiles go under the shortest column
+  const rects = ratios.map((ratio, index) => {
+    const column = layout === 'grid'
+      ? index % columnCount
+      : columnHeights.indexOf(Math.min(...columnHeights));
+    const height = layout === 'grid' ? columnWidth : columnWidth / ratio;
+    const top = columnHeights[column];
+
+    columnHeights[column] = top + height + gap;
+    return { top, left: column * (columnWidth + gap), width: columnWidth, height };
+  });
+
+  return { rects, height: Math.max(0, Math.max(...columnHeights) - gap) };
+}
+
+/**
+ * Read the gap between tiles from the grid's stylesheet
+ *
+ * @param {HTMLElement} photoGrid - Gallery grid element
+ * @returns {number} Gap in pixels
+ */
+export function getGridGap(photoGrid) {
+  return parseFloat(getComputedStyle(photoGrid).columnGap) || DEFAULT_GAP;
+}
+
+/**
+ * Read the aspect ratio a tile was rendered with
+ *
+ * @param {HTMLElement} tile - Photo tile
+ * @returns {number} Aspect ratio
+ */
+function getTileRatio(tile) {
+  return Number(tile.dataset.aspectRatio) || 1;
+}
@@ -4,14 +4,27 @@
  * This file initializes all functionality for the gallery page including:
  * - Photo gallery rendering from Sanity CMS
  * - Category filtering
- * - Lightbox functionality
- * - Load more functionality
+ * - Lightbox functionality, with shareable ?photo= permalinks
+ * - Square, justified or masonry tile layout
+ * - Load more functionality, with optional infinite scroll
+ * - Opt-in live content updates
  * - Error handling and fallbacks
  */
 
-import { initRendering } from './render.js';
-import { initLightbox } from './lightbox.js';
+import { initRendering, renderPage } from './render.js';
+import { initLightbox, openPhotoFromUrl } from './lightbox.js';
 import { sanityConfig } from './config.js';
+import { getCircuitState, resetCircuitBreaker } from './sanity-client.js';
+import { describeSanityError } from './sanity-errors.js';
+import { initPreviewMode } from './preview.js';
+import { initLiveUpdates } from './live.js';
+import { initInfiniteScroll } from './infinite-scroll.js';
+import { initGalleryLayout } from './gallery-layout.js';
+import { initPictureEvents } from './picture.js';
+import { html, toElement } from './html.js';
+
+// Set once the first render succeeded and the page's interactions are bound
+let pageReady = false;
 
 /**
  * Initialize the gallery page when DOM is ready
@@ -20,19 +33,25 @@ async function init() {
   try {
     console.log('Initializing gallery page...');
 
+    // Fade images in and swap broken ones for placeholders (including pre-rendered ones)
+    initPictureEvents();
+
     // Validate configuration
     validateConfiguration();
 
+    // Enter draft preview mode if requested (shows the preview banner)
+    initPreviewMode();
+
     // Initialize lightbox first (for photo click handlers)
     initLightbox();
 
+    // Arrange tiles in the configured layout before the first page is painted
+    initGalleryLayout();
+
     // Initialize content rendering (gallery and filtering)
     await initRendering();
 
-    // Initialize load more functionality
-    initLoadMore();
-
-    console.log('Gallery page initialized successfully');
+    finishInitialization();
 
   } catch (error) {
     console.error('Failed to initialize gallery page:', error);
@@ -40,6 +59,31 @@ async function init() {
   }
 }
 
+/**
+ * Bind what needs the first page of photos, once it has rendered
+ * Runs once, whether the first render succeeded on load or on a retry.
+ */
+function finishInitialization() {
+  if (pageReady) {
+    return;
+  }
+  pageReady = true;
+
+  // Open the photo a shared link points to, now its neighbours are loaded
+  openPhotoFromUrl();
+
+  // Initialize load more functionality
+  initLoadMore();
+
+  // Load further pages automatically while scrolling (opt-in)
+  initInfiniteScroll();
+
+  // Patch photo tiles in place as content is published (opt-in)
+  initLiveUpdates();
+
+  console.log('Gallery page initialized successfully');
+}
+
 /**
  * Initialize load more functionality
  */
@@ -59,10 +103,10 @@ function initLoadMore() {
       loadMoreBtn.disabled = true;
 
       // Import render functions dynamically to avoid circular dependencies
-      const { renderGallery } = await import('./render.js');
+      const { loadMorePhotos } = await import('./render.js');
 
-      // Re-render gallery (this will load more photos)
-      await renderGallery();
+      // Append the next page (hides the button once everything is loaded)
+      await loadMorePhotos();
 
       // Restore button state
       loadMoreBtn.textContent = originalText;
@@ -74,7 +118,7 @@ function initLoadMore() {
       loadMoreBtn.disabled = false;
 
       // Show error message
-      showErrorMessage('Failed to load more photos. Please try again.');
+      showErrorMessage('Failed to load more photos. Please try again.', error);
     }
   });
 
@@ -102,25 +146,37 @@ function validateConfiguration() {
  * @param {Error} error - Initialization error
  */
 function handleInitializationError(error) {
-  // Show user-friendly error message
-  const errorDiv = document.createElement('div');
-  errorDiv.className = 'fixed bottom-4 right-4 bg-yellow-600 text-white px-6 py-3 rounded-lg shadow-lg z-50 max-w-sm';
-  errorDiv.innerHTML = `
-    <div class="flex items-start">
-      <span class="mr-2">⚠️</span>
-      <div>
-        <p class="font-semibold">Gallery Loading Issue</p>
-        <p class="text-sm mt-1">The photo gallery may not load properly. Please refresh the page or check your connection.</p>
+  // Show user-friendly error message, specific to the failure when it came from Sanity
+  const detail = describeSanityError(error);
+  const errorDiv = toElement(html`
+    <div class="fixed bottom-4 right-4 bg-yellow-600 text-white px-6 py-3 rounded-lg shadow-lg z-50 max-w-sm" role="alert">
+      <div class="flex items-start">
+        <span class="mr-2">⚠️</span>
+        <div>
+          <p class="font-semibold">Gallery Loading Issue</p>
+          <p class="text-sm mt-1">${detail || 'The photo gallery may not load properly. Please refresh the page or check your connection.'}</p>
+          ${error?.retryable && html`<button type="button" class="text-sm mt-2 underline hover:text-gray-200" data-retry>Try again</button>`}
+        </div>
+        <button type="button" class="ml-4 text-white hover:text-gray-200 flex-shrink-0" aria-label="Dismiss" data-dismiss>×</button>
       </div>
-      <button class="ml-4 text-white hover:text-gray-200 flex-shrink-0" onclick="this.parentElement.parentElement.remove()">×</button>
     </div>
-  `;
+  `);
+  errorDiv.querySelector('[data-retry]')?.addEventListener('click', () => {
+    errorDiv.remove();
+    retryInitialization();
+  });
+  errorDiv.querySelector('[data-dismiss]').addEventListener('click', () => errorDiv.remove());
 
   document.body.appendChild(errorDiv);
 
   // Log detailed error for debugging
   console.error('Gallery initialization error details:', {
+    name: error.name,
     message: error.message,
+    status: error.status,
+    query: error.query,
+    origin: error.origin,
+    retryable: error.retryable,
     stack: error.stack,
     config: {
       projectId: sanityConfig.projectId,
@@ -141,17 +197,23 @@ function handleInitializationError(error) {
  * Show error message to user
  *
  * @param {string} message - Error message to display
+ * @param {Error} error - Optional error; Sanity errors add a specific explanation
  */
-function showErrorMessage(message) {
-  const errorDiv = document.createElement('div');
-  errorDiv.className = 'fixed top-4 right-4 bg-red-600 text-white px-6 py-3 rounded-lg shadow-lg z-50';
-  errorDiv.innerHTML = `
-    <div class="flex items-center">
-      <span class="mr-2">⚠️</span>
-      <span>${message}</span>
-      <button class="ml-4 text-white hover:text-gray-200" onclick="this.parentElement.parentElement.remove()">×</button>
+function showErrorMessage(message, error = null) {
+  const detail = error ? describeSanityError(error) : null;
+  const errorDiv = toElement(html`
+    <div class="fixed top-4 right-4 bg-red-600 text-white px-6 py-3 rounded-lg shadow-lg z-50 max-w-sm" role="alert">
+      <div class="flex items-start">
+        <span class="mr-2">⚠️</span>
+        <div>
+          <p>${message}</p>
+          ${detail && html`<p class="text-sm mt-1 text-red-100">${detail}</p>`}
+        </div>
+        <button type="button" class="ml-4 text-white hover:text-gray-200 flex-shrink-0" aria-label="Dismiss">×</button>
+      </div>
     </div>
-  `;
+  `);
+  errorDiv.querySelector('button').addEventListener('click', () => errorDiv.remove());
 
   document.body.appendChild(errorDiv);
 
@@ -164,21 +226,27 @@ function showErrorMessage(message) {
 }
 
 /**
- * Retry initialization after a delay
- * Useful if there are temporary network issues
+ * Retry initialization on demand
+ * Transient network issues are already retried with backoff by the Sanity
+ * client, so a manual retry only needs to close an open circuit breaker.
+ * Only the gallery is rendered again; listeners bound by init() stay as they are.
  */
 async function retryInitialization() {
   try {
     console.log('Retrying gallery initialization...');
 
-    // Wait a bit before retrying
-    await new Promise(resolve => setTimeout(resolve, 2000));
+    // Allow requests again if repeated failures tripped the circuit breaker
+    if (getCircuitState().state !== 'closed') {
+      resetCircuitBreaker();
+    }
 
-    // Re-initialize
-    await init();
+    await renderPage();
+
+    finishInitialization();
 
   } catch (error) {
     console.error('Gallery retry failed:', error);
+    handleInitializationError(error);
   }
 }
 
@@ -191,7 +259,7 @@ if (document.readyState === 'loading') {
 
 // Expose functions globally for debugging and manual control
 window.retryGalleryInitialization = retryInitialization;
-window.reloadGallery = () => initRendering();
+window.reloadGallery = () => renderPage();
 
 // Add gallery-specific analytics
 window.addEventListener('load', () => {
@@ -204,14 +272,6 @@ window.addEventListener('load', () => {
   console.log(`Gallery initialized with ${initialPhotoCount} photos`);
 });
 
-// Handle browser back/forward navigation
-window.addEventListener('popstate', () => {
-  // Re-initialize if category filter changed via browser navigation
-  if (window.location.search.includes('category')) {
-    initRendering();
-  }
-});
-
 // Add keyboard shortcuts for gallery
 document.addEventListener('keydown', (e) => {
   // Only handle shortcuts when not in input fields
@@ -229,7 +289,7 @@ document.addEventListener('keydown', (e) => {
     case 'l':
       if (e.ctrlKey || e.metaKey) {
         e.preventDefault();
-        initRendering();
+        renderPage().catch(handleInitializationError);
       }
       break;
   }
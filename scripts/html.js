@@ -0,0 +1,150 @@
+/**
+ * Safe HTML Templates for katgrapher.studio
+ *
+ * A tagged template literal for building markup from CMS content. Every
+ * interpolated value is escaped for use as text or inside a quoted
+ * attribute, so a renderer can't forget to; nested templates (and arrays
+ * of them) are inserted as markup. Templates are turned into DOM nodes
+ * through a <template> element rather than assigned to innerHTML by hand.
+ *
+ * Features:
+ * - html`...` with automatic escaping of text and attribute values
+ * - Nested html`...` fragments and arrays of them, for conditional parts and lists
+ * - null, undefined and false render nothing
+ * - safeUrl() keeps javascript: and other unexpected schemes out of links
+ * - toElement(), toFragment() and setContent() return and insert real nodes
+ *
+ * Usage:
+ *   const card = toElement(html`<a href="${safeUrl(project.url)}">${project.title}</a>`);
+ *   setContent(container, html`<p class="text-gray-400">${message}</p>`);
+ *
+ * Attribute values must be quoted; escaping can't make an unquoted one safe.
+ */
+
+// URL schemes links and images may use; anything else becomes '#'
+const SAFE_URL_SCHEMES = ['http:', 'https:', 'mailto:', 'tel:'];
+
+/**
+ * Markup produced by html`...`, trusted when interpolated into another template
+ */
+export class SafeHtml {
+  /**
+   * @param {string} markup - Markup that has already been escaped
+   */
+  constructor(markup) {
+    this.markup = markup;
+  }
+
+  toString() {
+    return this.markup;
+  }
+}
+
+/**
+ * Build markup, escaping every interpolated value that isn't itself a template
+ *
+ * @param {Array<string>} strings - Literal parts of the template
+ * @param {...*} values - Interpolated values
+ * @returns {SafeHtml} Markup
+ */
+export function html(strings, ...values) {
+  const markup = strings.reduce(
+    (result, string, index) => result + string + (index < values.length ? renderValue(values[index]) : ''),
+    '',
+  );
+  return new SafeHtml(markup);
+}
+
+/**
+ * Escape a value for use as text or inside a quoted attribute
+ *
+ * @param {*} text - Value to escape
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(text) {
+  if (text === null || text === undefined) return '';
+
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Check a URL from the CMS before it goes into an href or src
+ * Relative URLs and the schemes in SAFE_URL_SCHEMES pass; anything else
+ * (javascript:, data:, ...) is replaced with '#'.
+ *
+ * @param {string} url - URL to check
+ * @returns {string} The URL, or '#' if it is missing or unsafe
+ */
+export function safeUrl(url) {
+  const trimmed = String(url ?? '').trim();
+  if (!trimmed) {
+    return '#';
+  }
+
+  // Control characters and whitespace inside the scheme are ignored by browsers
+  const scheme = /^([^/?#]*?):/.exec(trimmed.replace(/[\u0000- ]/g, ''))?.[1];
+  if (scheme === undefined) {
+    return trimmed;
+  }
+
+  return SAFE_URL_SCHEMES.includes(`${scheme.toLowerCase()}:`) ? trimmed : '#';
+}
+
+/**
+ * Parse a template into a document fragment
+ *
+ * @param {SafeHtml} template - Markup from html`...`
+ * @returns {DocumentFragment} Parsed nodes
+ */
+export function toFragment(template) {
+  const templateElement = document.createElement('template');
+  templateElement.innerHTML = renderValue(template).trim();
+  return templateElement.content;
+}
+
+/**
+ * Parse a template with a single root element
+ *
+ * @param {SafeHtml} template - Markup from html`...`
+ * @returns {HTMLElement} The root element
+ */
+export function toElement(template) {
+  return toFragment(template).firstElementChild;
+}
+
+/**
+ * Replace the contents of an element with a template
+ *
+ * @param {HTMLElement} element - Element to fill
+ * @param {SafeHtml} template - Markup from html`...`
+ */
+export function setContent(element, template) {
+  element.replaceChildren(toFragment(template));
+}
+
+/**
+ * Turn an interpolated value into markup
+ *
+ * @param {*} value - Interpolated value
+ * @returns {string} Markup
+ */
+function renderValue(value) {
+  if (value === null || value === undefined || value === false) {
+    return '';
+  }
+
+  if (value instanceof SafeHtml) {
+    return value.markup;
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(renderValue).join('');
+  }
+
+  return escapeHtml(value);
+}
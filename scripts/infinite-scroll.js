@@ -0,0 +1,159 @@
+/**
+ * Infinite Scroll for the katgrapher.studio gallery
+ *
+ * This module loads the next page of photos automatically as the visitor
+ * nears the end of #photo-grid, using an IntersectionObserver on a sentinel
+ * element placed after the grid.
+ *
+ * Features:
+ * - Opt-in via galleryConfig.enableInfiniteScroll
+ * - Prefetches ahead of the end of the grid (galleryConfig.infiniteScrollMargin)
+ * - Visible loading indicator and a screen reader announcement of photos added
+ * - Stops when every photo is loaded or the tab is hidden, resumes on return
+ * - Keeps the "Load More" button as a fallback, revealed on keyboard focus
+ */
+
+import { galleryConfig } from './config.js';
+import { loadMorePhotos, getGalleryProgress } from './render.js';
+import { html, setContent } from './html.js';
+
+// Observer watching the sentinel, if infinite scroll is running
+let observer = null;
+
+// Whether the sentinel was inside the prefetch margin at the last observation
+let sentinelVisible = false;
+
+// Removes the elements and listeners added by the running instance
+let teardown = null;
+
+/**
+ * Start infinite scroll if enabled
+ *
+ * @returns {Function|null} Function that stops infinite scroll, or null if not started
+ */
+export function initInfiniteScroll() {
+  if (!galleryConfig.enableInfiniteScroll || typeof IntersectionObserver === 'undefined') {
+    return null;
+  }
+
+  const photoGrid = document.getElementById('photo-grid');
+  if (!photoGrid) {
+    console.warn('Photo grid not found; infinite scroll disabled');
+    return null;
+  }
+
+  stopInfiniteScroll();
+
+  const { sentinel, indicator, announcer } = createScrollElements(photoGrid);
+
+  // Visually hide the button, but keep it reachable for keyboard and screen reader users
+  const loadMoreBtn = document.getElementById('load-more');
+  loadMoreBtn?.classList.add('sr-only', 'focus:not-sr-only');
+
+  observer = new IntersectionObserver(entries => {
+    sentinelVisible = entries.some(entry => entry.isIntersecting);
+    loadNextPage(indicator, announcer);
+  }, { rootMargin: `0px 0px ${galleryConfig.infiniteScrollMargin} 0px` });
+
+  // Observing again delivers a fresh entry, so a sentinel that is still on
+  // screen after a page is appended (or a filter is applied) triggers another load
+  const refresh = () => {
+    if (!observer) {
+      return;
+    }
+
+    observer.unobserve(sentinel);
+    if (getGalleryProgress().hasMore && !document.hidden) {
+      observer.observe(sentinel);
+    }
+  };
+
+  document.addEventListener('gallery:progress', refresh);
+  document.addEventListener('visibilitychange', refresh);
+  refresh();
+
+  teardown = () => {
+    document.removeEventListener('gallery:progress', refresh);
+    document.removeEventListener('visibilitychange', refresh);
+    loadMoreBtn?.classList.remove('sr-only', 'focus:not-sr-only');
+    sentinel.remove();
+    indicator.remove();
+    announcer.remove();
+  };
+
+  console.log('Infinite scroll initialized');
+
+  return stopInfiniteScroll;
+}
+
+/**
+ * Stop infinite scroll and remove its elements
+ */
+export function stopInfiniteScroll() {
+  observer?.disconnect();
+  observer = null;
+  sentinelVisible = false;
+
+  teardown?.();
+  teardown = null;
+}
+
+/**
+ * Load the next page if the sentinel is in view and there is more to load
+ *
+ * @param {HTMLElement} indicator - Loading indicator
+ * @param {HTMLElement} announcer - Live region for announcements
+ */
+async function loadNextPage(indicator, announcer) {
+  if (!sentinelVisible || document.hidden || !getGalleryProgress().hasMore) {
+    return;
+  }
+
+  indicator.classList.remove('hidden');
+
+  try {
+    const added = await loadMorePhotos();
+    if (added.length > 0) {
+      const { loaded, total } = getGalleryProgress();
+      announcer.textContent = `${added.length} more photo${added.length !== 1 ? 's' : ''} loaded. Showing ${loaded} of ${total}.`;
+    }
+
+  } catch (error) {
+    // Wait for the sentinel to leave and re-enter view (or the button) before trying again
+    console.error('Error loading more photos:', error);
+    announcer.textContent = 'Could not load more photos. Use the Load More button to try again.';
+
+  } finally {
+    indicator.classList.add('hidden');
+  }
+}
+
+/**
+ * Create the sentinel, loading indicator and live region after the grid
+ *
+ * @param {HTMLElement} photoGrid - Gallery grid element
+ * @returns {object} Object with sentinel, indicator and announcer elements
+ */
+function createScrollElements(photoGrid) {
+  const sentinel = document.createElement('div');
+  sentinel.className = 'h-px';
+  sentinel.setAttribute('aria-hidden', 'true');
+  sentinel.dataset.infiniteScrollSentinel = '';
+
+  const indicator = document.createElement('div');
+  indicator.className = 'hidden flex items-center justify-center gap-3 py-8 text-gray-400';
+  indicator.setAttribute('role', 'status');
+  setContent(indicator, html`
+    <span class="w-5 h-5 border-2 border-gray-600 border-t-brand-green rounded-full animate-spin" aria-hidden="true"></span>
+    <span>Loading more photos...</span>
+  `);
+
+  const announcer = document.createElement('p');
+  announcer.className = 'sr-only';
+  announcer.setAttribute('aria-live', 'polite');
+  announcer.setAttribute('aria-atomic', 'true');
+
+  photoGrid.after(sentinel, indicator, announcer);
+
+  return { sentinel, indicator, announcer };
+}
@@ -6,15 +6,32 @@
  * - Touch/swipe support for mobile
  * - Focus trapping for accessibility
  * - Respect for prefers-reduced-motion
+ * - Responsive <picture> sources (AVIF/WebP with JPEG fallback)
+ * - Backdrop and caption tinted with the photo's palette accent
+ * - Navigates the gallery's photo data, so tiles outside the viewport
+ *   don't need to be in the DOM (see virtual-grid.js)
+ * - Photo permalinks: the open photo is kept in ?photo=<id>, shared links
+ *   open it on load, and the browser Back button closes the lightbox
  * - No external dependencies
  *
  * Usage:
  * - Click on gallery photos to open lightbox
  * - Use arrow keys or swipe to navigate
- * - Press Escape or click close to exit
+ * - Press Escape, click close or go Back to exit
  */
 
-import { galleryConfig } from './config.js';
+import { galleryConfig, imageLayouts } from './config.js';
+import { applyPictureSources, getPictureSources } from './picture.js';
+import { applyAccent, readAccent, getPhotoAccent } from './palette.js';
+import { getGalleryPhotos, getUrlParam } from './render.js';
+import { fetchSanity } from './sanity-client.js';
+import { photoByIdQuery } from './queries.js';
+
+// URL parameter holding the ID of the photo in the lightbox
+const PHOTO_PARAM = 'photo';
+
+// Set while closing the lightbox by going back to the entry it added (the popstate handler finishes the job)
+let closingViaHistory = false;
 
 /**
  * Initialize lightbox functionality
@@ -63,12 +80,11 @@ function initLightboxEvents(lightbox, lightboxImage, lightboxCaption, lightboxCl
   // Touch/swipe support
   initTouchSupport(lightboxImage);
 
-  // Handle visibility change (for accessibility)
-  document.addEventListener('visibilitychange', () => {
-    if (document.hidden && lightbox.classList.contains('visible')) {
-      closeLightbox();
-    }
-  });
+  // Back closes the lightbox; Forward reopens the photo
+  window.addEventListener('popstate', handlePhotoHistory);
+
+  // The lightbox stays open while the page is hidden, so switching apps or
+  // sharing the photo's link keeps the photo and its ?photo= permalink
 
   // Respect prefers-reduced-motion
   if (window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches) {
@@ -89,12 +105,20 @@ function initPhotoClickHandlers(lightbox, lightboxImage, lightboxCaption) {
     // Prevent default if it's a link
     e.preventDefault();
 
-    // Get photo data
-    const img = photoItem.querySelector('img');
-    if (!img) return;
+    // Navigate every loaded photo, whether or not its tile is mounted
+    const photos = getGalleryPhotos();
+    const photoIndex = photos.findIndex(photo => photo._id === photoItem.dataset.photoId);
+    if (photoIndex >= 0) {
+      const photoData = getLightboxData(photos[photoIndex]);
+      if (photoData) {
+        openLightbox(photoData.src, photoData.caption, photoIndex, photos);
+      }
+      return;
+    }
 
-    const src = img.dataset.lightboxSrc || img.src;
-    const caption = img.dataset.lightboxCaption || img.alt || '';
+    // Tiles that didn't come from the CMS (the static fallback markup)
+    const photoData = getLightboxData(photoItem);
+    if (!photoData) return;
 
     // Find all photos for navigation
     const allPhotoItems = Array.from(document.querySelectorAll('.photo-item')).filter(item => {
@@ -105,19 +129,151 @@ function initPhotoClickHandlers(lightbox, lightboxImage, lightboxCaption) {
     const clickedIndex = allPhotoItems.indexOf(photoItem);
 
     // Open lightbox
-    openLightbox(src, caption, clickedIndex, allPhotoItems);
+    openLightbox(photoData.src, photoData.caption, clickedIndex, allPhotoItems);
   });
 }
 
+/**
+ * Open the photo a shared link points to (?photo=<id>)
+ * Uses the loaded gallery photos when the photo is among them, so the
+ * lightbox can move on to its neighbours; otherwise fetches it on its own.
+ * Call once the gallery's first page has rendered.
+ *
+ * @returns {Promise<boolean>} True if a photo was opened
+ */
+export async function openPhotoFromUrl() {
+  const photoId = getUrlParam(PHOTO_PARAM);
+  if (!photoId) {
+    return false;
+  }
+
+  // Give the gallery view its own entry underneath, so Back closes the lightbox instead of leaving the page
+  if (!window.history.state?.lightbox) {
+    setPhotoParam(null);
+  }
+
+  return showPhoto(photoId);
+}
+
+/**
+ * Open a photo by ID, or move the open lightbox to it
+ *
+ * @param {string} photoId - Photo document ID
+ * @param {object} options - Options
+ * @param {boolean} options.updateUrl - Record the photo in the URL (false when following history)
+ * @returns {Promise<boolean>} True if the photo was shown
+ */
+async function showPhoto(photoId, { updateUrl = true } = {}) {
+  const isOpen = lightboxAPI.isOpen();
+
+  // Already in the photos being navigated
+  const openPhotos = isOpen ? window.lightboxPhotos || [] : [];
+  const openIndex = openPhotos.findIndex(photo => !(photo instanceof Element) && photo._id === photoId);
+  if (openIndex >= 0) {
+    navigateToIndex(openIndex, { updateUrl });
+    return true;
+  }
+
+  // Among the loaded gallery photos
+  const photos = getGalleryPhotos();
+  let photoIndex = photos.findIndex(photo => photo._id === photoId);
+  let photoItems = photos;
+
+  // Not loaded (a later page, or filtered out): fetch the photo itself
+  if (photoIndex < 0) {
+    try {
+      const { query, params } = photoByIdQuery(photoId);
+      const photo = await fetchSanity(query, params);
+      if (!photo) {
+        console.warn(`Photo ${photoId} not found`);
+        if (updateUrl) {
+          setPhotoParam(null);
+        }
+        return false;
+      }
+
+      photoIndex = 0;
+      photoItems = [photo];
+    } catch (error) {
+      console.error('Error loading linked photo:', error);
+      return false;
+    }
+  }
+
+  const photoData = getLightboxData(photoItems[photoIndex]);
+  if (!photoData) {
+    return false;
+  }
+
+  openLightbox(photoData.src, photoData.caption, photoIndex, photoItems, { updateUrl });
+  return true;
+}
+
+/**
+ * Follow Back/Forward: close the lightbox when the photo leaves the URL, show it when it returns
+ */
+function handlePhotoHistory() {
+  closingViaHistory = false;
+
+  const photoId = getUrlParam(PHOTO_PARAM);
+  if (!photoId) {
+    hideLightbox();
+    return;
+  }
+
+  showPhoto(photoId, { updateUrl: false });
+}
+
+/**
+ * Put a photo's ID in the URL, or take it out
+ *
+ * @param {string|null} photoId - Photo document ID, or null to remove it
+ * @param {object} options - Options
+ * @param {boolean} options.push - Add a history entry (replaces the current one otherwise)
+ */
+function setPhotoParam(photoId, { push = false } = {}) {
+  const url = new URL(window.location);
+  if (photoId) {
+    url.searchParams.set(PHOTO_PARAM, photoId);
+  } else {
+    url.searchParams.delete(PHOTO_PARAM);
+  }
+
+  // Keep comma-separated category lists readable
+  url.search = url.search.replace(/%2C/gi, ',');
+
+  if (push) {
+    window.history.pushState({ lightbox: true }, '', url);
+  } else {
+    window.history.replaceState(photoId ? window.history.state : null, '', url);
+  }
+}
+
+/**
+ * Get the permalink ID of a photo being navigated
+ *
+ * @param {object|HTMLElement} photoItem - Photo data from Sanity, or a gallery photo element
+ * @returns {string|null} Photo document ID, or null for tiles that didn't come from the CMS
+ */
+function getPhotoId(photoItem) {
+  if (!photoItem) {
+    return null;
+  }
+
+  return photoItem instanceof Element ? photoItem.dataset.photoId || null : photoItem._id || null;
+}
+
 /**
  * Open lightbox with specified image
  *
  * @param {string} src - Image source URL
  * @param {string} caption - Image caption
  * @param {number} startIndex - Starting photo index
- * @param {Array} photoItems - Array of all photo elements
+ * @param {Array} photoItems - Photos to navigate (Sanity photo data or photo elements)
+ * @param {object} options - Options
+ * @param {boolean} options.updateUrl - Record the photo in the URL (false when following history)
  */
-function openLightbox(src, caption, startIndex, photoItems) {
+function openLightbox(src, caption, startIndex, photoItems, { updateUrl = true } = {}) {
   const lightbox = document.getElementById('lightbox');
   const lightboxImage = document.getElementById('lightbox-image');
   const lightboxCaption = document.getElementById('lightbox-caption');
@@ -126,15 +282,22 @@ function openLightbox(src, caption, startIndex, photoItems) {
     return;
   }
 
-  // Set image and caption
-  lightboxImage.src = src;
-  lightboxImage.alt = caption;
+  // Set image and caption, using responsive sources and accent colours when the photo item provides them
+  const photoData = photoItems[startIndex] ? getLightboxData(photoItems[startIndex]) : null;
+  setLightboxImage(lightboxImage, src, photoData?.picture || null, caption);
   lightboxCaption.textContent = caption;
+  applyAccent(lightbox, photoData?.accent || null);
 
   // Store photo data for navigation
   window.lightboxPhotos = photoItems;
   window.lightboxCurrentIndex = startIndex;
 
+  // Give the photo its own history entry, so Back closes the lightbox
+  const photoId = getPhotoId(photoItems[startIndex]);
+  if (updateUrl && photoId) {
+    setPhotoParam(photoId, { push: !window.history.state?.lightbox });
+  }
+
   // Show lightbox
   lightbox.classList.remove('hidden');
   lightbox.classList.add('visible');
@@ -162,8 +325,31 @@ function openLightbox(src, caption, startIndex, photoItems) {
 
 /**
  * Close lightbox
+ * If opening it added a history entry, goes back to the gallery's entry
+ * (the popstate handler then hides it) so Back and close agree.
  */
 function closeLightbox() {
+  if (!lightboxAPI.isOpen() || closingViaHistory) {
+    return;
+  }
+
+  if (getUrlParam(PHOTO_PARAM)) {
+    if (window.history.state?.lightbox) {
+      closingViaHistory = true;
+      window.history.back();
+      return;
+    }
+
+    setPhotoParam(null);
+  }
+
+  hideLightbox();
+}
+
+/**
+ * Hide the lightbox without touching the URL
+ */
+function hideLightbox() {
   const lightbox = document.getElementById('lightbox');
 
   if (!lightbox || !lightbox.classList.contains('visible')) {
@@ -263,19 +449,20 @@ function navigateNext() {
  * Navigate to specific image index
  *
  * @param {number} index - Index to navigate to
+ * @param {object} options - Options
+ * @param {boolean} options.updateUrl - Record the photo in the URL (false when following history)
  */
-function navigateToIndex(index) {
+function navigateToIndex(index, { updateUrl = true } = {}) {
   const photos = window.lightboxPhotos;
   if (!photos || index < 0 || index >= photos.length) return;
 
-  const photoItem = photos[index];
-  const img = photoItem.querySelector('img');
-  if (!img) return;
+  const photoData = getLightboxData(photos[index]);
+  if (!photoData) return;
 
-  const src = img.dataset.lightboxSrc || img.src;
-  const caption = img.dataset.lightboxCaption || img.alt || '';
+  const { src, picture, caption, accent } = photoData;
 
   // Update lightbox content
+  const lightbox = document.getElementById('lightbox');
   const lightboxImage = document.getElementById('lightbox-image');
   const lightboxCaption = document.getElementById('lightbox-caption');
 
@@ -284,8 +471,7 @@ function navigateToIndex(index) {
     lightboxImage.style.opacity = '0';
 
     setTimeout(() => {
-      lightboxImage.src = src;
-      lightboxImage.alt = caption;
+      setLightboxImage(lightboxImage, src, picture, caption);
       lightboxImage.style.opacity = '1';
     }, 150);
   }
@@ -294,9 +480,19 @@ function navigateToIndex(index) {
     lightboxCaption.textContent = caption;
   }
 
+  if (lightbox) {
+    applyAccent(lightbox, accent);
+  }
+
   // Update current index
   window.lightboxCurrentIndex = index;
 
+  // Keep the permalink on the photo shown, without a history entry per photo
+  const photoId = getPhotoId(photos[index]);
+  if (updateUrl && photoId) {
+    setPhotoParam(photoId);
+  }
+
   // Preload adjacent images
   preloadAdjacentImages(index, photos);
 
@@ -408,7 +604,7 @@ function trapFocus(lightbox) {
  * Preload adjacent images for better performance
  *
  * @param {number} currentIndex - Current photo index
- * @param {Array} photoItems - Array of all photo elements
+ * @param {Array} photoItems - Photos being navigated (Sanity photo data or photo elements)
  */
 function preloadAdjacentImages(currentIndex, photoItems) {
   const preloadIndices = [
@@ -419,21 +615,94 @@ function preloadAdjacentImages(currentIndex, photoItems) {
   ].filter(index => index >= 0 && index < photoItems.length && index !== currentIndex);
 
   preloadIndices.forEach(index => {
-    const photoItem = photoItems[index];
-    const img = photoItem.querySelector('img');
-    if (!img) return;
-
-    const src = img.dataset.lightboxSrc || img.src;
-    if (src) {
-      const link = document.createElement('link');
-      link.rel = 'preload';
-      link.as = 'image';
-      link.href = src;
-      document.head.appendChild(link);
+    const photoData = getLightboxData(photoItems[index]);
+    if (!photoData) return;
+
+    const link = document.createElement('link');
+    link.rel = 'preload';
+    link.as = 'image';
+
+    // Preload the preferred format; browsers skip types they can't decode
+    const preferredSource = photoData.picture?.sources?.[0];
+    if (preferredSource) {
+      link.type = preferredSource.type;
+      link.imageSrcset = preferredSource.srcset;
+      link.imageSizes = photoData.picture.sizes;
+    } else if (photoData.src) {
+      link.href = photoData.src;
+    } else {
+      return;
     }
+
+    document.head.appendChild(link);
   });
 }
 
+/**
+ * Get what the lightbox shows for a photo
+ *
+ * @param {object|HTMLElement} photoItem - Photo data from Sanity, or a gallery photo element
+ * @returns {object|null} Object with src, picture sources (or null), caption and accent (or null)
+ */
+function getLightboxData(photoItem) {
+  if (photoItem && !(photoItem instanceof Element)) {
+    const picture = getPictureSources(photoItem.image, imageLayouts.lightbox);
+    if (!picture) return null;
+
+    return {
+      src: picture.src,
+      picture,
+      caption: photoItem.caption || photoItem.alt || '',
+      accent: getPhotoAccent(photoItem.image),
+    };
+  }
+
+  const img = photoItem?.querySelector('img');
+  if (!img) return null;
+
+  let picture = null;
+  if (img.dataset.lightboxPicture) {
+    try {
+      picture = JSON.parse(img.dataset.lightboxPicture);
+    } catch (error) {
+      console.warn('Invalid lightbox picture data:', error);
+    }
+  }
+
+  return {
+    src: img.dataset.lightboxSrc || img.src,
+    picture,
+    caption: img.dataset.lightboxCaption || img.alt || '',
+    accent: readAccent(photoItem),
+  };
+}
+
+/**
+ * Show an image in the lightbox
+ *
+ * @param {HTMLImageElement} lightboxImage - Lightbox image element
+ * @param {string} src - Fallback image URL
+ * @param {object|null} picture - Responsive sources from getPictureSources
+ * @param {string} caption - Image caption (used as alt text)
+ */
+function setLightboxImage(lightboxImage, src, picture, caption) {
+  const lightboxPicture = document.getElementById('lightbox-picture');
+
+  if (picture && lightboxPicture) {
+    applyPictureSources(lightboxPicture, picture, caption);
+    return;
+  }
+
+  // Plain image: clear any responsive sources left from a previous photo
+  if (lightboxPicture) {
+    lightboxPicture.querySelectorAll('source').forEach(source => source.removeAttribute('srcset'));
+  }
+  lightboxImage.removeAttribute('srcset');
+  lightboxImage.removeAttribute('sizes');
+  lightboxImage.src = src;
+  lightboxImage.alt = caption;
+}
+
 /**
  * Announce message to screen readers
  *
@@ -487,7 +756,9 @@ export const lightboxAPI = {
 
   previous: navigatePrevious,
 
-  goTo: navigateToIndex,
+  goTo: index => navigateToIndex(index),
+
+  openById: showPhoto,
 
   isOpen: () => {
     const lightbox = document.getElementById('lightbox');
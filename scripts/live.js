@@ -0,0 +1,463 @@
+/**
+ * Live Content Updates for katgrapher.studio
+ *
+ * This module subscribes to Sanity's listen API and patches the cards on
+ * the page in place as photos, projects and categories are published,
+ * changed or removed - no full re-render and no reload.
+ *
+ * Features:
+ * - Opt-in via liveConfig.enabled or ?live=1
+ * - EventSource subscription to /data/listen for the configured types
+ * - In-place patching of #photo-grid tiles, teaser tiles and project cards
+ * - Draft edits patched in as well while preview mode is active, over a
+ *   fetch-based stream that sends the preview token (EventSource can't)
+ * - Re-rendering of project pages and the projects index when any project changes
+ * - Cache invalidation so later navigation doesn't show stale results
+ * - Configurable listen host for a local stand-in server (tools/listen-server.mjs)
+ */
+
+import { fetchSanity, getApiHost } from './sanity-client.js';
+import { clearCache } from './sanity-cache.js';
+import { sanityConfig, liveConfig, contentTypes } from './config.js';
+import { photoByIdQuery, projectByIdQuery, photosReferencingQuery, documentTypeQuery } from './queries.js';
+import { getPreviewState } from './preview.js';
+import {
+  createProjectElement,
+  createPhotoTeaserElement,
+  createGalleryPhotoElement,
+  findProjectsContainer,
+  findProjectDetailContainer,
+  fetchProjectDetail,
+  paintProjectDetail,
+  findProjectIndexContainer,
+  fetchAllProjects,
+  updateProjectIndex,
+  findPhotoTeaserContainer,
+  getUrlParam,
+  getGallerySelection,
+  photoMatchesSelection,
+  getGalleryPhotos,
+  updateGalleryPhoto,
+} from './render.js';
+
+// Event names the listen API sends
+const LISTEN_EVENTS = ['welcome', 'mutation', 'channelError', 'disconnect'];
+
+// Active EventSource (or authenticated stream), if any
+let eventSource = null;
+
+/**
+ * Check whether live mode should be enabled for this visit
+ *
+ * @returns {boolean} True if live updates are enabled and supported
+ */
+export function isLiveModeEnabled() {
+  if (typeof window === 'undefined' || typeof EventSource === 'undefined') {
+    return false;
+  }
+
+  const param = getUrlParam(liveConfig.queryParam);
+  if (param === '0' || param === 'off') {
+    return false;
+  }
+
+  return liveConfig.enabled || param !== null;
+}
+
+/**
+ * Start live updates if enabled
+ *
+ * @returns {Function|null} Function that stops live updates, or null if not started
+ */
+export function initLiveUpdates() {
+  if (!isLiveModeEnabled()) {
+    return null;
+  }
+
+  return subscribeToLiveUpdates(mutation => {
+    handleMutation(mutation).catch(error => {
+      console.error('[Live] Failed to apply update:', error);
+    });
+  });
+}
+
+/**
+ * Subscribe to mutation events from the Sanity listen API
+ * In preview mode the stream is read with fetch, as EventSource can't send the
+ * viewer token and the listen API only reports draft mutations to authenticated clients.
+ *
+ * @param {Function} onMutation - Called with { documentId, transition, result }
+ * @returns {Function} Function that closes the subscription
+ */
+export function subscribeToLiveUpdates(onMutation) {
+  stopLiveUpdates();
+
+  const handleEvent = (name, data) => {
+    switch (name) {
+      case 'welcome':
+        console.info('[Live] Listening for content updates');
+        break;
+
+      case 'mutation': {
+        let mutation;
+        try {
+          mutation = JSON.parse(data);
+        } catch (error) {
+          console.warn('[Live] Ignoring malformed mutation event:', error);
+          return;
+        }
+
+        onMutation({
+          documentId: mutation.documentId,
+          transition: mutation.transition,
+          result: mutation.result || null,
+        });
+        break;
+      }
+
+      // The server asks us to stop; the client would otherwise reconnect forever
+      case 'channelError':
+        console.error('[Live] Listen channel error:', data);
+        stopLiveUpdates();
+        break;
+
+      case 'disconnect':
+        console.info('[Live] Server closed the listener');
+        stopLiveUpdates();
+        break;
+    }
+  };
+
+  const { token } = getPreviewState();
+  eventSource = token
+    ? openAuthenticatedStream(getListenUrl(), token, handleEvent)
+    : openEventSource(getListenUrl(), handleEvent);
+
+  return stopLiveUpdates;
+}
+
+/**
+ * Close the live update subscription
+ */
+export function stopLiveUpdates() {
+  if (eventSource) {
+    eventSource.close();
+    eventSource = null;
+  }
+}
+
+/**
+ * Open an anonymous listen stream with EventSource
+ *
+ * @param {string} url - Listen API URL
+ * @param {Function} onEvent - Called with (eventName, data)
+ * @returns {EventSource} Open source (has close())
+ */
+function openEventSource(url, onEvent) {
+  const source = new EventSource(url);
+
+  LISTEN_EVENTS.forEach(name => {
+    source.addEventListener(name, event => onEvent(name, event.data));
+  });
+
+  source.onerror = () => {
+    if (source.readyState === EventSource.CONNECTING) {
+      console.warn('[Live] Connection lost, reconnecting...');
+    }
+  };
+
+  return source;
+}
+
+/**
+ * Open a listen stream that sends the preview token as a Bearer header
+ * Reads server-sent events from a fetch response and reconnects after
+ * liveConfig.reconnectDelay when the connection drops, like EventSource does.
+ *
+ * @param {string} url - Listen API URL
+ * @param {string} token - Sanity viewer token
+ * @param {Function} onEvent - Called with (eventName, data)
+ * @returns {object} Stream handle with close()
+ */
+function openAuthenticatedStream(url, token, onEvent) {
+  const controller = new AbortController();
+
+  const connect = async () => {
+    try {
+      const response = await fetch(url, {
+        headers: { Accept: 'text/event-stream', Authorization: `Bearer ${token}` },
+        cache: 'no-store',
+        signal: controller.signal,
+      });
+
+      // A rejected token won't start working on retry
+      if (response.status === 401 || response.status === 403) {
+        console.error(`[Live] Listen API refused the preview token (HTTP ${response.status})`);
+        return;
+      }
+      if (!response.ok || !response.body) {
+        throw new Error(`Listen API responded with HTTP ${response.status}`);
+      }
+
+      await readEventStream(response.body, onEvent);
+    } catch (error) {
+      if (controller.signal.aborted) {
+        return;
+      }
+      console.warn('[Live] Listen stream failed:', error);
+    }
+
+    if (!controller.signal.aborted) {
+      console.warn('[Live] Connection lost, reconnecting...');
+      setTimeout(() => {
+        if (!controller.signal.aborted) {
+          connect();
+        }
+      }, liveConfig.reconnectDelay);
+    }
+  };
+
+  connect();
+
+  return { close: () => controller.abort() };
+}
+
+/**
+ * Read server-sent events from a response body until it ends
+ *
+ * @param {ReadableStream} body - text/event-stream response body
+ * @param {Function} onEvent - Called with (eventName, data) for each named event
+ * @returns {Promise<void>} Resolves when the stream ends
+ */
+async function readEventStream(body, onEvent) {
+  const reader = body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '';
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) {
+      return;
+    }
+
+    buffer += value.replace(/\r\n?/g, '\n');
+
+    // Events are separated by a blank line; the last part may be incomplete
+    const blocks = buffer.split('\n\n');
+    buffer = blocks.pop();
+
+    blocks.forEach(block => {
+      let name = 'message';
+      const data = [];
+
+      block.split('\n').forEach(line => {
+        if (line.startsWith('event:')) {
+          name = line.slice(6).trim();
+        } else if (line.startsWith('data:')) {
+          data.push(line.slice(5).replace(/^ /, ''));
+        }
+      });
+
+      // Comment-only blocks are heartbeats
+      if (data.length > 0) {
+        onEvent(name, data.join('\n'));
+      }
+    });
+  }
+}
+
+/**
+ * Build the listen API URL
+ *
+ * @returns {string} EventSource URL
+ */
+function getListenUrl() {
+  const { dataset, apiVersion } = sanityConfig;
+  const host = liveConfig.listenHost || getApiHost();
+
+  const url = new URL(`${host}/${apiVersion}/data/listen/${dataset}`);
+  url.searchParams.set('query', '*[_type in $types]');
+  url.searchParams.set('$types', JSON.stringify(liveConfig.types));
+  url.searchParams.set('includeResult', 'true');
+
+  // Only emit events once the change is visible to queries, so refetches see it
+  url.searchParams.set('visibility', 'query');
+
+  return url.toString();
+}
+
+/**
+ * Apply a single mutation to the page
+ *
+ * @param {object} mutation - Mutation with documentId, transition and result
+ */
+async function handleMutation({ documentId, transition, result }) {
+  if (!documentId) {
+    return;
+  }
+
+  // Drafts are only on the page in preview mode, where queries layer them over
+  // the published document and cards carry the published ID
+  const isDraft = documentId.startsWith('drafts.');
+  if (isDraft && !getPreviewState().active) {
+    return;
+  }
+  const publishedId = isDraft ? documentId.slice('drafts.'.length) : documentId;
+
+  // Cached list queries no longer reflect the dataset
+  await clearCache();
+
+  if (transition === 'disappear' && !isDraft) {
+    removeCards(publishedId);
+    await refreshProjectPages();
+    return;
+  }
+
+  // A draft that disappears was published or discarded; show what takes its place
+  let type = result?._type;
+  if (!type) {
+    const { query, params } = documentTypeQuery(publishedId);
+    type = await fetchSanity(query, params, { cache: false });
+  }
+
+  switch (type) {
+    case contentTypes.PHOTO:
+      await patchPhoto(publishedId);
+      break;
+    case contentTypes.PROJECT:
+      await patchProject(publishedId);
+      break;
+    case contentTypes.CATEGORY:
+      await patchCategory(publishedId);
+      break;
+    default:
+      // Nothing left: a draft of a document that was never published
+      removeCards(publishedId);
+      await refreshProjectPages();
+  }
+}
+
+/**
+ * Remove every card rendered for a document
+ *
+ * @param {string} documentId - Sanity document ID
+ */
+function removeCards(documentId) {
+  updateGalleryPhoto(documentId, null);
+
+  document
+    .querySelectorAll(`[data-photo-id="${CSS.escape(documentId)}"], [data-project-id="${CSS.escape(documentId)}"]`)
+    .forEach(card => card.remove());
+}
+
+/**
+ * Replace, insert or remove the tiles for a changed photo
+ *
+ * @param {string} photoId - Photo document ID
+ */
+async function patchPhoto(photoId) {
+  const { query, params } = photoByIdQuery(photoId);
+  const photo = await fetchSanity(query, params, { cache: false });
+
+  if (!photo) {
+    removeCards(photoId);
+    return;
+  }
+
+  // Gallery grid: keep the tile only while it matches the active filter and search
+  const photoGrid = document.getElementById('photo-grid');
+  if (photoGrid) {
+    const matchesFilter = photoMatchesSelection(photo, getGallerySelection());
+
+    // The virtualized grid re-renders from the updated data by itself
+    if (!updateGalleryPhoto(photoId, matchesFilter ? photo : null)) {
+      patchCard(photoGrid, `.photo-item[data-photo-id="${CSS.escape(photoId)}"]`,
+        matchesFilter ? createGalleryPhotoElement(photo) : null);
+    }
+  }
+
+  // Index teaser: only featured photos belong there
+  const teaser = findPhotoTeaserContainer();
+  if (teaser) {
+    patchCard(teaser, `[data-photo-id="${CSS.escape(photoId)}"]`,
+      photo.featured ? createPhotoTeaserElement(photo) : null, { insert: false });
+  }
+}
+
+/**
+ * Replace, insert or remove the card for a changed project
+ *
+ * @param {string} projectId - Project document ID
+ */
+async function patchProject(projectId) {
+  await refreshProjectPages();
+
+  const projectsContainer = findProjectsContainer();
+  if (!projectsContainer) {
+    return;
+  }
+
+  const { query, params } = projectByIdQuery(projectId);
+  const project = await fetchSanity(query, params, { cache: false });
+
+  patchCard(projectsContainer, `[data-project-id="${CSS.escape(projectId)}"]`,
+    project?.featured ? createProjectElement(project) : null);
+}
+
+/**
+ * Re-render the project page or projects index, if this is one
+ * Any project change can affect them: a project page's previous/next links
+ * and the index's filter counts depend on every project.
+ */
+async function refreshProjectPages() {
+  // Repaint in place: a loading state here would flash on every edit
+  const detailContainer = findProjectDetailContainer();
+  const slug = getUrlParam('slug');
+  if (detailContainer && slug) {
+    paintProjectDetail(detailContainer, await fetchProjectDetail(slug, { cache: false }));
+  }
+  if (findProjectIndexContainer()) {
+    updateProjectIndex(await fetchAllProjects({ cache: false }));
+  }
+}
+
+/**
+ * Refresh the photo tiles that reference a changed category
+ *
+ * @param {string} categoryId - Category document ID
+ */
+async function patchCategory(categoryId) {
+  const { query, params } = photosReferencingQuery(categoryId);
+  const photos = await fetchSanity(query, params, { cache: false });
+
+  // Virtualized gallery tiles may be loaded without being in the DOM
+  const renderedIds = new Set([
+    ...Array.from(document.querySelectorAll('[data-photo-id]')).map(el => el.dataset.photoId),
+    ...getGalleryPhotos().map(photo => photo._id),
+  ]);
+
+  await Promise.all(
+    (photos || []).map(photo => photo._id).filter(id => renderedIds.has(id)).map(id => patchPhoto(id)),
+  );
+}
+
+/**
+ * Swap a card for its new version, insert it, or remove it
+ *
+ * @param {HTMLElement} container - Grid holding the card
+ * @param {string} selector - Selector for the existing card
+ * @param {HTMLElement|null} newCard - Replacement card, or null to remove
+ * @param {object} options - Set insert: false to only update existing cards
+ */
+function patchCard(container, selector, newCard, { insert = true } = {}) {
+  const existing = container.querySelector(selector);
+
+  if (existing && newCard) {
+    existing.replaceWith(newCard);
+  } else if (existing) {
+    existing.remove();
+  } else if (newCard && insert) {
+    // Drop any "nothing found" message before adding the first card
+    container.querySelectorAll('.col-span-full, .col-span-2').forEach(el => el.remove());
+    container.prepend(newCard);
+  }
+}
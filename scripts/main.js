@@ -1,14 +1,25 @@
 /**
- * Main JavaScript file for katgrapher.studio index page
+ * Main JavaScript file for katgrapher.studio index and project pages
  *
- * This file initializes all functionality for the homepage including:
+ * This file initializes all functionality for the homepage and the
+ * project detail page (project.html) including:
  * - Content rendering from Sanity CMS
+ * - Opt-in live content updates
  * - DOM ready event handling
  * - Error handling and fallbacks
  */
 
-import { initRendering } from './render.js';
+import { initRendering, renderPage } from './render.js';
 import { sanityConfig } from './config.js';
+import { getCircuitState, resetCircuitBreaker } from './sanity-client.js';
+import { describeSanityError } from './sanity-errors.js';
+import { initPreviewMode } from './preview.js';
+import { initLiveUpdates } from './live.js';
+import { initPictureEvents } from './picture.js';
+import { html, toElement } from './html.js';
+
+// Set once the first render succeeded and live updates are running
+let pageReady = false;
 
 /**
  * Initialize the application when DOM is ready
@@ -17,13 +28,19 @@ async function init() {
   try {
     console.log('Initializing katgrapher.studio...');
 
+    // Fade images in and swap broken ones for placeholders (including pre-rendered ones)
+    initPictureEvents();
+
     // Validate configuration
     validateConfiguration();
 
+    // Enter draft preview mode if requested (shows the preview banner)
+    initPreviewMode();
+
     // Initialize content rendering
     await initRendering();
 
-    console.log('katgrapher.studio initialized successfully');
+    finishInitialization();
 
   } catch (error) {
     console.error('Failed to initialize katgrapher.studio:', error);
@@ -31,6 +48,22 @@ async function init() {
   }
 }
 
+/**
+ * Start what needs the rendered page, once it has rendered
+ * Runs once, whether the first render succeeded on load or on a retry.
+ */
+function finishInitialization() {
+  if (pageReady) {
+    return;
+  }
+  pageReady = true;
+
+  // Patch cards in place as content is published (opt-in)
+  initLiveUpdates();
+
+  console.log('katgrapher.studio initialized successfully');
+}
+
 /**
  * Validate Sanity configuration
  */
@@ -52,25 +85,37 @@ function validateConfiguration() {
  * @param {Error} error - Initialization error
  */
 function handleInitializationError(error) {
-  // Show user-friendly error message
-  const errorDiv = document.createElement('div');
-  errorDiv.className = 'fixed bottom-4 right-4 bg-yellow-600 text-white px-6 py-3 rounded-lg shadow-lg z-50 max-w-sm';
-  errorDiv.innerHTML = `
-    <div class="flex items-start">
-      <span class="mr-2">⚠️</span>
-      <div>
-        <p class="font-semibold">Content Loading Issue</p>
-        <p class="text-sm mt-1">Some content may not load properly. Please refresh the page or check your connection.</p>
+  // Show user-friendly error message, specific to the failure when it came from Sanity
+  const detail = describeSanityError(error);
+  const errorDiv = toElement(html`
+    <div class="fixed bottom-4 right-4 bg-yellow-600 text-white px-6 py-3 rounded-lg shadow-lg z-50 max-w-sm" role="alert">
+      <div class="flex items-start">
+        <span class="mr-2">⚠️</span>
+        <div>
+          <p class="font-semibold">Content Loading Issue</p>
+          <p class="text-sm mt-1">${detail || 'Some content may not load properly. Please refresh the page or check your connection.'}</p>
+          ${error?.retryable && html`<button type="button" class="text-sm mt-2 underline hover:text-gray-200" data-retry>Try again</button>`}
+        </div>
+        <button type="button" class="ml-4 text-white hover:text-gray-200 flex-shrink-0" aria-label="Dismiss" data-dismiss>×</button>
       </div>
-      <button class="ml-4 text-white hover:text-gray-200 flex-shrink-0" onclick="this.parentElement.parentElement.remove()">×</button>
     </div>
-  `;
+  `);
+  errorDiv.querySelector('[data-retry]')?.addEventListener('click', () => {
+    errorDiv.remove();
+    retryInitialization();
+  });
+  errorDiv.querySelector('[data-dismiss]').addEventListener('click', () => errorDiv.remove());
 
   document.body.appendChild(errorDiv);
 
   // Log detailed error for debugging
   console.error('Initialization error details:', {
+    name: error.name,
     message: error.message,
+    status: error.status,
+    query: error.query,
+    origin: error.origin,
+    retryable: error.retryable,
     stack: error.stack,
     config: {
       projectId: sanityConfig.projectId,
@@ -88,21 +133,27 @@ function handleInitializationError(error) {
 }
 
 /**
- * Retry initialization after a delay
- * Useful if there are temporary network issues
+ * Retry initialization on demand
+ * Transient network issues are already retried with backoff by the Sanity
+ * client, so a manual retry only needs to close an open circuit breaker.
+ * Only the page content is rendered again; listeners bound by init() stay as they are.
  */
 async function retryInitialization() {
   try {
     console.log('Retrying initialization...');
 
-    // Wait a bit before retrying
-    await new Promise(resolve => setTimeout(resolve, 2000));
+    // Allow requests again if repeated failures tripped the circuit breaker
+    if (getCircuitState().state !== 'closed') {
+      resetCircuitBreaker();
+    }
+
+    await renderPage();
 
-    // Re-initialize
-    await init();
+    finishInitialization();
 
   } catch (error) {
     console.error('Retry failed:', error);
+    handleInitializationError(error);
   }
 }
 
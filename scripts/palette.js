@@ -0,0 +1,211 @@
+/**
+ * Palette Accent Theming for katgrapher.studio
+ *
+ * This module derives per-photo accent colours from the palette metadata
+ * Sanity extracts for each image asset, and exposes them as CSS custom
+ * properties that the gallery, teaser and lightbox markup read (with the
+ * default dark theme colours as fallbacks).
+ *
+ * Features:
+ * - Accent from the vibrant swatch, falling back to dominant
+ * - Text colour picked for WCAG AA contrast (4.5:1) against the accent
+ * - Border/ring accent lightened to 3:1 against the page background
+ * - Dark backdrop tinted with the dominant colour, keeping white text readable
+ * - Toggle via galleryConfig.paletteAccents
+ */
+
+import { galleryConfig } from './config.js';
+
+// Page background from the Tailwind theme (colors.background)
+const PAGE_BACKGROUND = '#0a0a0a';
+
+// Text colours to choose from for content drawn on top of the accent
+const LIGHT_TEXT = '#ffffff';
+const DARK_TEXT = '#0a0a0a';
+
+// WCAG 2.1 thresholds
+const MIN_TEXT_CONTRAST = 4.5;
+const MIN_UI_CONTRAST = 3;
+
+// Opacity of the hover tint over gallery tiles
+const OVERLAY_ALPHA = 0.4;
+
+// CSS custom properties set by applyAccent
+const ACCENT_PROPERTIES = {
+  accent: '--accent',
+  text: '--accent-text',
+  ui: '--accent-ui',
+  overlay: '--accent-overlay',
+  backdrop: '--accent-backdrop',
+};
+
+/**
+ * Get the accent colours for a photo
+ * Expects the projection to include asset->metadata.palette
+ *
+ * @param {object} image - Sanity image object with expanded asset metadata
+ * @returns {object|null} Accent colours (accent, text, ui, overlay, backdrop), or null if unavailable or disabled
+ */
+export function getPhotoAccent(image) {
+  if (!galleryConfig.paletteAccents) {
+    return null;
+  }
+
+  const palette = image?.asset?.metadata?.palette;
+  const accentRgb = parseColor(palette?.vibrant?.background || palette?.dominant?.background);
+  if (!accentRgb) {
+    return null;
+  }
+
+  const dominantRgb = parseColor(palette?.dominant?.background) || accentRgb;
+
+  return {
+    accent: toHex(accentRgb),
+    text: getReadableTextColor(accentRgb),
+    ui: toHex(ensureContrast(accentRgb, parseColor(PAGE_BACKGROUND), MIN_UI_CONTRAST, [255, 255, 255])),
+    overlay: toRgba(accentRgb, OVERLAY_ALPHA),
+    backdrop: toHex(ensureContrast(mix(dominantRgb, [0, 0, 0], 0.75), parseColor(LIGHT_TEXT), MIN_TEXT_CONTRAST, [0, 0, 0])),
+  };
+}
+
+/**
+ * Set (or clear) the accent custom properties on an element
+ *
+ * @param {HTMLElement} element - Element whose subtree uses the accent
+ * @param {object|null} accent - Result of getPhotoAccent, or null to clear
+ */
+export function applyAccent(element, accent) {
+  Object.entries(ACCENT_PROPERTIES).forEach(([key, property]) => {
+    if (accent?.[key]) {
+      element.style.setProperty(property, accent[key]);
+    } else {
+      element.style.removeProperty(property);
+    }
+  });
+}
+
+/**
+ * Read the accent custom properties back from an element
+ *
+ * @param {HTMLElement} element - Element previously passed to applyAccent
+ * @returns {object|null} Accent colours, or null if none are set
+ */
+export function readAccent(element) {
+  if (!element?.style.getPropertyValue(ACCENT_PROPERTIES.accent)) {
+    return null;
+  }
+
+  return Object.fromEntries(
+    Object.entries(ACCENT_PROPERTIES).map(([key, property]) => [key, element.style.getPropertyValue(property).trim()]),
+  );
+}
+
+/**
+ * Pick white or near-black text, whichever contrasts more with the background
+ * One of the two always reaches at least 4.5:1 against an opaque colour.
+ *
+ * @param {Array<number>} background - RGB triplet
+ * @returns {string} Hex text colour
+ */
+export function getReadableTextColor(background) {
+  const lightContrast = getContrastRatio(parseColor(LIGHT_TEXT), background);
+  const darkContrast = getContrastRatio(parseColor(DARK_TEXT), background);
+  return lightContrast >= darkContrast ? LIGHT_TEXT : DARK_TEXT;
+}
+
+/**
+ * WCAG contrast ratio between two colours
+ *
+ * @param {Array<number>} a - RGB triplet
+ * @param {Array<number>} b - RGB triplet
+ * @returns {number} Ratio between 1 and 21
+ */
+export function getContrastRatio(a, b) {
+  const lumA = getRelativeLuminance(a);
+  const lumB = getRelativeLuminance(b);
+  return (Math.max(lumA, lumB) + 0.05) / (Math.min(lumA, lumB) + 0.05);
+}
+
+/**
+ * Move a colour towards a target until it contrasts enough with a reference
+ *
+ * @param {Array<number>} color - RGB triplet to adjust
+ * @param {Array<number>} against - RGB triplet it must contrast with
+ * @param {number} minRatio - Required contrast ratio
+ * @param {Array<number>} towards - RGB triplet to mix in (white to lighten, black to darken)
+ * @returns {Array<number>} Adjusted RGB triplet
+ */
+function ensureContrast(color, against, minRatio, towards) {
+  let adjusted = color;
+  for (let amount = 0.1; getContrastRatio(adjusted, against) < minRatio && amount <= 1; amount += 0.1) {
+    adjusted = mix(color, towards, amount);
+  }
+  return adjusted;
+}
+
+/**
+ * WCAG relative luminance of a colour
+ *
+ * @param {Array<number>} rgb - RGB triplet (0-255)
+ * @returns {number} Luminance between 0 and 1
+ */
+function getRelativeLuminance([r, g, b]) {
+  const [lr, lg, lb] = [r, g, b].map(channel => {
+    const c = channel / 255;
+    return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+  });
+  return 0.2126 * lr + 0.7152 * lg + 0.0722 * lb;
+}
+
+/**
+ * Parse a #rgb or #rrggbb colour
+ *
+ * @param {string} color - Hex colour
+ * @returns {Array<number>|null} RGB triplet, or null if invalid
+ */
+function parseColor(color) {
+  const match = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(color || '');
+  if (!match) {
+    return null;
+  }
+
+  const hex = match[1].length === 3
+    ? match[1].split('').map(c => c + c).join('')
+    : match[1];
+
+  return [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16));
+}
+
+/**
+ * Linearly mix two colours
+ *
+ * @param {Array<number>} from - RGB triplet
+ * @param {Array<number>} to - RGB triplet
+ * @param {number} amount - 0 returns `from`, 1 returns `to`
+ * @returns {Array<number>} Mixed RGB triplet
+ */
+function mix(from, to, amount) {
+  const t = Math.min(1, Math.max(0, amount));
+  return from.map((channel, i) => Math.round(channel + (to[i] - channel) * t));
+}
+
+/**
+ * Format an RGB triplet as a hex colour
+ *
+ * @param {Array<number>} rgb - RGB triplet
+ * @returns {string} Hex colour
+ */
+function toHex(rgb) {
+  return `#${rgb.map(channel => channel.toString(16).padStart(2, '0')).join('')}`;
+}
+
+/**
+ * Format an RGB triplet with alpha
+ *
+ * @param {Array<number>} rgb - RGB triplet
+ * @param {number} alpha - Opacity between 0 and 1
+ * @returns {string} rgba() colour
+ */
+function toRgba([r, g, b], alpha) {
+  return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+}
@@ -0,0 +1,266 @@
+/**
+ * Responsive Picture Markup for katgrapher.studio
+ *
+ * This module turns a Sanity image into <picture> markup with modern
+ * format sources, a JPEG fallback, DPR-aware srcset candidates and
+ * intrinsic dimensions so the browser can reserve space before load.
+ *
+ * Features:
+ * - AVIF and WebP <source> elements with a fallback <img>
+ * - srcset widths for each configured pixel density, never upscaled
+ * - Per-layout `sizes` attributes (see imageLayouts in config.js)
+ * - width/height attributes from the asset dimensions to prevent layout shift
+ * - Helper to apply the same sources to an existing <picture> (lightbox)
+ * - Blurred LQIP/BlurHash placeholder that the image fades in over
+ * - Delegated load/error handling, so the markup needs no inline handlers
+ */
+
+import { buildImageUrl, getImageDimensions } from './sanity-client.js';
+import { imageDefaults } from './config.js';
+import { getPlaceholderUrl } from './placeholder.js';
+import { html } from './html.js';
+
+// MIME types for the formats the image API can output
+const FORMAT_TYPES = {
+  avif: 'image/avif',
+  webp: 'image/webp',
+  jpg: 'image/jpeg',
+  png: 'image/png',
+};
+
+/**
+ * Compute the sources for a responsive picture
+ *
+ * @param {string|object} image - Sanity image object or reference
+ * @param {object} layout - Layout from imageLayouts (width, height, fit, sizes)
+ * @returns {object|null} Object with sources, src, srcset, sizes, width, height and placeholder, or null if invalid
+ */
+export function getPictureSources(image, layout = {}) {
+  const dimensions = image ? getImageDimensions(image) : null;
+  if (!dimensions) {
+    return null;
+  }
+
+  const baseWidth = Math.min(layout.width || dimensions.width, dimensions.width);
+  const aspectRatio = layout.height
+    ? layout.height / layout.width
+    : dimensions.height / dimensions.width;
+  const fixedHeight = Boolean(layout.height);
+
+  const widths = getCandidateWidths(baseWidth, dimensions.width);
+
+  const buildUrl = (width, format) => buildImageUrl(image, {
+    width,
+    height: fixedHeight ? Math.round(width * aspectRatio) : undefined,
+    fit: layout.fit,
+    format,
+  });
+
+  const buildSrcset = format => widths
+    .map(width => `${buildUrl(width, format)} ${width}w`)
+    .join(', ');
+
+  return {
+    sources: imageDefaults.sourceFormats.map(format => ({
+      type: FORMAT_TYPES[format] || `image/${format}`,
+      srcset: buildSrcset(format),
+    })),
+    src: buildUrl(baseWidth, imageDefaults.fallbackFormat),
+    srcset: buildSrcset(imageDefaults.fallbackFormat),
+    sizes: layout.sizes || '100vw',
+    width: baseWidth,
+    height: Math.round(baseWidth * aspectRatio),
+    placeholder: getPlaceholderUrl(image),
+  };
+}
+
+/**
+ * Render <picture> markup for a Sanity image
+ *
+ * @param {string|object} image - Sanity image object or reference
+ * @param {object} layout - Layout from imageLayouts
+ * @param {object} options - Rendering options
+ * @param {string} options.alt - Alternative text
+ * @param {string} options.className - Classes for the <picture> element
+ * @param {string} options.imgClassName - Classes for the <img> element
+ * @param {string} options.loading - 'lazy' (default) or 'eager'
+ * @param {object} options.imgAttributes - Extra attributes for the <img> (values are escaped)
+ * @param {boolean} options.placeholder - Show the blurred placeholder until the image loads (default true)
+ * @param {boolean} options.fallback - If the image fails, hide the <picture> and show the element after it
+ * @returns {SafeHtml|string} Markup, or an empty string if the image is invalid
+ */
+export function renderPicture(image, layout, options = {}) {
+  const picture = getPictureSources(image, layout);
+  if (!picture) {
+    return '';
+  }
+
+  const {
+    alt = '',
+    className = '',
+    imgClassName = '',
+    loading = 'lazy',
+    imgAttributes = {},
+    placeholder = true,
+    fallback = false,
+  } = options;
+
+  // The placeholder sits behind the <img>. data-fade-in hides the image until it
+  // has loaded, but only once initPictureEvents has marked <html> with the js
+  // class (see assets/input.css), so pre-rendered markup is visible without JS.
+  const showPlaceholder = placeholder && Boolean(picture.placeholder);
+  const pictureStyle = showPlaceholder ? `background-image: url('${picture.placeholder}')` : null;
+  const pictureClasses = showPlaceholder ? `${className} bg-cover bg-center` : className;
+
+  const extraAttributes = Object.entries(imgAttributes)
+    .map(([name, value]) => html` ${name}="${value}"`);
+
+  return html`<picture class="${pictureClasses.trim()}"${pictureStyle ? html` style="${pictureStyle}"` : ''}>${picture.sources.map(source => html`<source type="${source.type}" srcset="${source.srcset}" sizes="${picture.sizes}">`)}<img src="${picture.src}"
+      srcset="${picture.srcset}"
+      sizes="${picture.sizes}"
+      width="${picture.width}"
+      height="${picture.height}"
+      alt="${alt}"
+      class="${imgClassName.trim()}"
+      loading="${loading}"
+      decoding="async"${showPlaceholder ? html` data-fade-in` : ''}${fallback ? html` data-fallback-on-error` : ''}${extraAttributes}></picture>`;
+}
+
+/**
+ * Handle load and error events for images rendered by renderPicture
+ * The events don't bubble, so they are caught on the way down. Images that
+ * finished before this runs (pre-rendered markup) are settled straight away.
+ * Also adds the js class to <html>, which lets images wait for their load to fade in.
+ */
+export function initPictureEvents() {
+  if (document.documentElement.dataset.pictureEvents) {
+    return;
+  }
+  document.documentElement.dataset.pictureEvents = 'true';
+  document.documentElement.classList.add('js');
+
+  document.addEventListener('load', (e) => {
+    if (e.target.matches?.('img[data-fade-in]')) {
+      revealImage(e.target);
+    }
+  }, true);
+
+  document.addEventListener('error', (e) => {
+    if (e.target.matches?.('img[data-fallback-on-error]')) {
+      showImageFallback(e.target);
+    }
+  }, true);
+
+  document.querySelectorAll('img[data-fade-in], img[data-fallback-on-error]').forEach(img => {
+    if (!img.complete) {
+      return;
+    }
+
+    if (img.naturalWidth > 0) {
+      revealImage(img);
+    } else if (img.hasAttribute('data-fallback-on-error')) {
+      showImageFallback(img);
+    }
+  });
+}
+
+/**
+ * Fade an image in over its placeholder
+ *
+ * @param {HTMLImageElement} img - Loaded image
+ */
+function revealImage(img) {
+  img.dataset.loaded = 'true';
+}
+
+/**
+ * Swap a broken <picture> for the placeholder element that follows it
+ *
+ * @param {HTMLImageElement} img - Image that failed to load
+ */
+function showImageFallback(img) {
+  img.removeAttribute('data-fallback-on-error');
+
+  const picture = img.closest('picture') || img;
+  picture.style.display = 'none';
+  if (picture.nextElementSibling) {
+    picture.nextElementSibling.style.display = 'flex';
+  }
+}
+
+/**
+ * Point an existing <picture> at new sources
+ * Used where the element is long-lived, such as the lightbox
+ *
+ * @param {HTMLPictureElement} pictureElement - Picture with <source> children and an <img>
+ * @param {object} picture - Result of getPictureSources
+ * @param {string} alt - Alternative text
+ */
+export function applyPictureSources(pictureElement, picture, alt = '') {
+  const img = pictureElement.querySelector('img');
+  if (!img || !picture) {
+    return;
+  }
+
+  // Match <source> elements by type, creating any that are missing
+  picture.sources.forEach(source => {
+    let sourceElement = pictureElement.querySelector(`source[type="${source.type}"]`);
+    if (!sourceElement) {
+      sourceElement = document.createElement('source');
+      sourceElement.type = source.type;
+      pictureElement.insertBefore(sourceElement, img);
+    }
+    sourceElement.srcset = source.srcset;
+    sourceElement.sizes = picture.sizes;
+  });
+
+  showPlaceholderUntilLoaded(img, picture.placeholder);
+
+  img.srcset = picture.srcset;
+  img.sizes = picture.sizes;
+  img.width = picture.width;
+  img.height = picture.height;
+  img.src = picture.src;
+  img.alt = alt;
+}
+
+/**
+ * Paint a placeholder behind an <img> and remove it once the image loads
+ *
+ * @param {HTMLImageElement} img - Image element about to change source
+ * @param {string|null} placeholder - Placeholder data URL
+ */
+function showPlaceholderUntilLoaded(img, placeholder) {
+  if (!placeholder) {
+    img.style.backgroundImage = '';
+    return;
+  }
+
+  img.style.backgroundImage = `url("${placeholder}")`;
+  img.style.backgroundSize = 'cover';
+  img.style.backgroundPosition = 'center';
+
+  const expectedPlaceholder = img.style.backgroundImage;
+  const clear = () => {
+    // A newer image may have replaced the placeholder in the meantime
+    if (img.style.backgroundImage === expectedPlaceholder) {
+      img.style.backgroundImage = '';
+    }
+  };
+  img.addEventListener('load', clear, { once: true });
+  img.addEventListener('error', clear, { once: true });
+}
+
+/**
+ * Get srcset widths for each pixel density, capped at the asset width
+ *
+ * @param {number} baseWidth - Rendered (1x) width
+ * @param {number} maxWidth - Asset width
+ * @returns {Array<number>} Sorted, unique widths
+ */
+function getCandidateWidths(baseWidth, maxWidth) {
+  const widths = imageDefaults.pixelDensities
+    .map(density => Math.min(Math.round(baseWidth * density), maxWidth));
+
+  return Array.from(new Set(widths)).sort((a, b) => a - b);
+}
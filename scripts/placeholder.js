@@ -0,0 +1,237 @@
+/**
+ * Progressive Image Placeholders for katgrapher.studio
+ *
+ * This module turns the LQIP and BlurHash metadata Sanity stores for each
+ * image asset into a blurred placeholder that is shown while the real
+ * image loads.
+ *
+ * Features:
+ * - Uses the asset's LQIP (a tiny base64 image) when available
+ * - Falls back to decoding the BlurHash onto a small canvas
+ * - Memoizes decoded placeholders
+ * - No external dependencies
+ */
+
+// Decoded BlurHash data URLs, keyed by hash
+const blurhashCache = new Map();
+
+// Base83 alphabet used by BlurHash
+const BASE83_CHARS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz#$%*+,-.:;=?@[]^_{|}~';
+
+// Size of the canvas BlurHash is decoded onto (scaled up by CSS)
+const BLURHASH_SIZE = 32;
+
+/**
+ * Get a placeholder image URL for a Sanity image
+ * Expects the projection to include asset->metadata { lqip, blurHash }
+ *
+ * @param {object} image - Sanity image object with expanded asset metadata
+ * @returns {string|null} Data URL, or null if no placeholder is available
+ */
+export function getPlaceholderUrl(image) {
+  const metadata = image?.asset?.metadata;
+  if (!metadata) {
+    return null;
+  }
+
+  if (metadata.lqip) {
+    return metadata.lqip;
+  }
+
+  if (metadata.blurHash) {
+    return blurhashToDataUrl(metadata.blurHash);
+  }
+
+  return null;
+}
+
+/**
+ * Decode a BlurHash to a data URL via a canvas
+ *
+ * @param {string} hash - BlurHash string
+ * @returns {string|null} PNG data URL, or null if decoding isn't possible
+ */
+export function blurhashToDataUrl(hash) {
+  if (blurhashCache.has(hash)) {
+    return blurhashCache.get(hash);
+  }
+
+  if (typeof document === 'undefined') {
+    return null;
+  }
+
+  try {
+    const pixels = decodeBlurhash(hash, BLURHASH_SIZE, BLURHASH_SIZE);
+    const canvas = document.createElement('canvas');
+    canvas.width = BLURHASH_SIZE;
+    canvas.height = BLURHASH_SIZE;
+
+    // No 2D context outside a real browser (e.g. when pre-rendering at build time)
+    const context = canvas.getContext?.('2d');
+    if (!context) {
+      blurhashCache.set(hash, null);
+      return null;
+    }
+
+    const imageData = context.createImageData(BLURHASH_SIZE, BLURHASH_SIZE);
+    imageData.data.set(pixels);
+    context.putImageData(imageData, 0, 0);
+
+    const dataUrl = canvas.toDataURL('image/png');
+    blurhashCache.set(hash, dataUrl);
+    return dataUrl;
+
+  } catch (error) {
+    console.warn('Unable to decode blurhash:', error);
+    blurhashCache.set(hash, null);
+    return null;
+  }
+}
+
+/**
+ * Decode a BlurHash into RGBA pixels
+ *
+ * @param {string} hash - BlurHash string
+ * @param {number} width - Output width in pixels
+ * @param {number} height - Output height in pixels
+ * @param {number} punch - Contrast boost for the AC components
+ * @returns {Uint8ClampedArray} RGBA pixel data
+ */
+export function decodeBlurhash(hash, width, height, punch = 1) {
+  if (!hash || hash.length < 6) {
+    throw new Error('BlurHash must be at least 6 characters');
+  }
+
+  const sizeFlag = decode83(hash[0]);
+  const numY = Math.floor(sizeFlag / 9) + 1;
+  const numX = (sizeFlag % 9) + 1;
+
+  if (hash.length !== 4 + 2 * numX * numY) {
+    throw new Error(`Invalid BlurHash length: expected ${4 + 2 * numX * numY}, got ${hash.length}`);
+  }
+
+  const quantisedMaxValue = decode83(hash[1]);
+  const maxValue = (quantisedMaxValue + 1) / 166;
+
+  // First component is the average colour, the rest are AC components
+  const colors = new Array(numX * numY);
+  colors[0] = decodeDC(decode83(hash.substring(2, 6)));
+  for (let i = 1; i < colors.length; i++) {
+    const value = decode83(hash.substring(4 + i * 2, 6 + i * 2));
+    colors[i] = decodeAC(value, maxValue * punch);
+  }
+
+  const pixels = new Uint8ClampedArray(width * height * 4);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let r = 0;
+      let g = 0;
+      let b = 0;
+
+      for (let j = 0; j < numY; j++) {
+        for (let i = 0; i < numX; i++) {
+          const basis = Math.cos((Math.PI * x * i) / width) * Math.cos((Math.PI * y * j) / height);
+          const color = colors[i + j * numX];
+          r += color[0] * basis;
+          g += color[1] * basis;
+          b += color[2] * basis;
+        }
+      }
+
+      const offset = 4 * (x + y * width);
+      pixels[offset] = linearToSrgb(r);
+      pixels[offset + 1] = linearToSrgb(g);
+      pixels[offset + 2] = linearToSrgb(b);
+      pixels[offset + 3] = 255;
+    }
+  }
+
+  return pixels;
+}
+
+/**
+ * Decode a base83 string to an integer
+ *
+ * @param {string} str - Base83 encoded string
+ * @returns {number} Decoded value
+ */
+function decode83(str) {
+  let value = 0;
+  for (const char of str) {
+    const digit = BASE83_CHARS.indexOf(char);
+    if (digit === -1) {
+      throw new Error(`Invalid BlurHash character: ${char}`);
+    }
+    value = value * 83 + digit;
+  }
+  return value;
+}
+
+/**
+ * Decode the average (DC) colour component
+ *
+ * @param {number} value - Packed sRGB colour
+ * @returns {Array<number>} Linear RGB triplet
+ */
+function decodeDC(value) {
+  return [
+    srgbToLinear(value >> 16),
+    srgbToLinear((value >> 8) & 255),
+    srgbToLinear(value & 255),
+  ];
+}
+
+/**
+ * Decode an AC colour component
+ *
+ * @param {number} value - Quantised component
+ * @param {number} maxValue - Scale for the component
+ * @returns {Array<number>} Linear RGB triplet
+ */
+function decodeAC(value, maxValue) {
+  const quantR = Math.floor(value / (19 * 19));
+  const quantG = Math.floor(value / 19) % 19;
+  const quantB = value % 19;
+
+  return [
+    signPow((quantR - 9) / 9, 2) * maxValue,
+    signPow((quantG - 9) / 9, 2) * maxValue,
+    signPow((quantB - 9) / 9, 2) * maxValue,
+  ];
+}
+
+/**
+ * Convert an sRGB channel (0-255) to linear light
+ *
+ * @param {number} value - sRGB channel value
+ * @returns {number} Linear value between 0 and 1
+ */
+function srgbToLinear(value) {
+  const v = value / 255;
+  return v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+}
+
+/**
+ * Convert a linear light value to an sRGB channel (0-255)
+ *
+ * @param {number} value - Linear value
+ * @returns {number} sRGB channel value
+ */
+function linearToSrgb(value) {
+  const v = Math.max(0, Math.min(1, value));
+  return v <= 0.0031308
+    ? Math.round(v * 12.92 * 255 + 0.5)
+    : Math.round((1.055 * Math.pow(v, 1 / 2.4) - 0.055) * 255 + 0.5);
+}
+
+/**
+ * Raise to a power while keeping the sign
+ *
+ * @param {number} value - Base
+ * @param {number} exp - Exponent
+ * @returns {number} Signed result
+ */
+function signPow(value, exp) {
+  return Math.sign(value) * Math.pow(Math.abs(value), exp);
+}
@@ -0,0 +1,189 @@
+/**
+ * Draft Preview Mode for katgrapher.studio
+ *
+ * This module lets the team review unpublished content on the live site.
+ * Preview mode is entered with a Sanity viewer token that is supplied at
+ * runtime and is never part of the repository.
+ *
+ * Features:
+ * - Enter preview with ?preview=<token> (token is removed from the address bar)
+ * - Token kept in sessionStorage for the rest of the visit
+ * - Visible "Preview" banner with an exit link
+ * - Exit with ?preview=exit or the banner link
+ *
+ * There is no preview cookie: a static site can't verify a signed one
+ * without shipping the signing secret, and an unsigned one would just be the
+ * viewer token at rest. Sanity rejects invalid tokens.
+ */
+
+import { sanityConfig, previewConfig } from './config.js';
+import { html, setContent } from './html.js';
+
+// Resolved preview state, computed once per page load
+let previewState = null;
+
+/**
+ * Get the current preview state
+ *
+ * @returns {object} Object with `active` flag and `token` (null when inactive)
+ */
+export function getPreviewState() {
+  if (!previewState) {
+    previewState = resolvePreviewState();
+  }
+  return previewState;
+}
+
+/**
+ * Check whether draft preview mode is active
+ *
+ * @returns {boolean} True if queries should include drafts
+ */
+export function isPreviewMode() {
+  return getPreviewState().active;
+}
+
+/**
+ * Check whether a document returned by a preview query is a draft
+ *
+ * @param {object} doc - Sanity document (projection must include _originalId)
+ * @returns {boolean} True if the document is an unpublished draft
+ */
+export function isDraftDocument(doc) {
+  return typeof doc?._originalId === 'string' && doc._originalId.startsWith('drafts.');
+}
+
+/**
+ * Initialize preview mode for the current page
+ * Strips the token from the URL and shows the preview banner when active
+ */
+export function initPreviewMode() {
+  const { active } = getPreviewState();
+
+  // Remove the preview parameter so the token doesn't linger in history or get shared
+  if (typeof window !== 'undefined') {
+    const url = new URL(window.location);
+    if (url.searchParams.has(previewConfig.queryParam)) {
+      url.searchParams.delete(previewConfig.queryParam);
+      window.history.replaceState(window.history.state, '', url);
+    }
+  }
+
+  if (active) {
+    showPreviewBanner();
+    console.info('[Preview] Draft preview mode active');
+  }
+}
+
+/**
+ * Leave preview mode and reload the page with published content
+ */
+export function exitPreviewMode() {
+  clearStoredToken();
+  previewState = { active: false, token: null };
+
+  const url = new URL(window.location);
+  url.searchParams.delete(previewConfig.queryParam);
+  window.location.replace(url);
+}
+
+/**
+ * Work out preview state from the URL and session storage
+ *
+ * @returns {object} Object with `active` flag and `token`
+ */
+function resolvePreviewState() {
+  const inactive = { active: false, token: null };
+
+  if (!sanityConfig.previewMode || typeof window === 'undefined') {
+    return inactive;
+  }
+
+  const urlValue = new URLSearchParams(window.location.search).get(previewConfig.queryParam);
+
+  // Explicit exit always wins
+  if (urlValue === 'exit') {
+    clearStoredToken();
+    return inactive;
+  }
+
+  // A token in the URL starts (or replaces) a preview session
+  if (urlValue) {
+    storeToken(urlValue);
+    return { active: true, token: urlValue };
+  }
+
+  const token = readStoredToken();
+  if (token) {
+    return { active: true, token };
+  }
+
+  return inactive;
+}
+
+/**
+ * Read the preview token kept for this browser session
+ *
+ * @returns {string|null} Token or null
+ */
+function readStoredToken() {
+  try {
+    return window.sessionStorage.getItem(previewConfig.storageKey);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Keep the preview token for the rest of this browser session
+ *
+ * @param {string} token - Sanity viewer token
+ */
+function storeToken(token) {
+  try {
+    window.sessionStorage.setItem(previewConfig.storageKey, token);
+  } catch (error) {
+    console.warn('[Preview] Unable to persist preview token:', error);
+  }
+}
+
+/**
+ * Forget the preview token
+ */
+function clearStoredToken() {
+  try {
+    window.sessionStorage.removeItem(previewConfig.storageKey);
+  } catch (error) {
+    // Storage may be unavailable; nothing to clear
+  }
+}
+
+/**
+ * Show the preview banner at the top of the page
+ */
+function showPreviewBanner() {
+  if (document.getElementById('preview-banner')) {
+    return;
+  }
+
+  const exitUrl = new URL(window.location);
+  exitUrl.searchParams.set(previewConfig.queryParam, 'exit');
+
+  const banner = document.createElement('div');
+  banner.id = 'preview-banner';
+  banner.setAttribute('role', 'status');
+  banner.className = 'fixed top-0 left-0 right-0 bg-brand-yellow text-black text-sm font-semibold px-6 py-2 z-50 flex justify-center items-center gap-4';
+  setContent(banner, html`
+    <span>Preview – showing draft content</span>
+    <a href="${exitUrl.toString()}" class="underline hover:no-underline">Exit preview</a>
+  `);
+
+  const exitLink = banner.querySelector('a');
+  exitLink.addEventListener('click', (e) => {
+    e.preventDefault();
+    exitPreviewMode();
+  });
+
+  document.body.prepend(banner);
+  document.body.style.paddingTop = `${banner.offsetHeight}px`;
+}
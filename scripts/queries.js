@@ -0,0 +1,566 @@
+/**
+ * GROQ Query Registry for katgrapher.studio
+ *
+ * Single source of truth for the queries the site sends to Sanity.
+ * Renderers ask for a named query and get back the GROQ string plus its
+ * parameters, ready for fetchSanity(query, params).
+ *
+ * Features:
+ * - Shared projections (fragments) for photo cards, photo details, project cards,
+ *   project details and categories
+ * - Composable filters: category (one, or several with any/all matching), featured,
+ *   search, date range, id, slug, references and referenced-by
+ * - Ordering and slicing handled in one place, including the gallery sort options
+ * - Named, parameterised queries for every renderer
+ *
+ * Usage:
+ *   const { query, params } = photoListQuery({ category: 'street', limit: 12 });
+ *   const photos = await fetchSanity(query, params);
+ */
+
+import { contentTypes, queryLimits } from './config.js';
+
+/**
+ * Reusable projections
+ * Image fields include the asset metadata used for placeholders and palette accents.
+ */
+const IMAGE_FRAGMENT = `image {
+  crop,
+  hotspot,
+  asset->{
+    _id,
+    metadata {
+      lqip,
+      blurHash,
+      dimensions { width, height },
+      palette {
+        dominant { background },
+        vibrant { background }
+      }
+    }
+  }
+}`;
+
+const CATEGORY_FRAGMENT = `{
+  _id,
+  title,
+  slug,
+  description,
+  order
+}`;
+
+const PHOTO_CARD_FRAGMENT = `{
+  _id,
+  _originalId,
+  ${IMAGE_FRAGMENT},
+  alt,
+  caption,
+  categories[]->{
+    _id,
+    title,
+    slug
+  },
+  date,
+  location,
+  featured
+}`;
+
+const PHOTO_DETAIL_FRAGMENT = `{
+  _id,
+  _originalId,
+  ${IMAGE_FRAGMENT},
+  "dimensions": image.asset->metadata.dimensions,
+  alt,
+  caption,
+  categories[]->${CATEGORY_FRAGMENT},
+  date,
+  location,
+  featured,
+  order
+}`;
+
+const PROJECT_CARD_FRAGMENT = `{
+  _id,
+  _originalId,
+  title,
+  slug,
+  description,
+  url,
+  ${IMAGE_FRAGMENT},
+  techTags,
+  githubUrl,
+  completionDate,
+  projectType,
+  featured
+}`;
+
+const PROJECT_DETAIL_FRAGMENT = `{
+  _id,
+  _originalId,
+  title,
+  slug,
+  description,
+  challenges,
+  url,
+  ${IMAGE_FRAGMENT},
+  techTags,
+  githubUrl,
+  completionDate,
+  projectType,
+  featured
+}`;
+
+// Just enough of each project to link to it
+const PROJECT_LINK_FRAGMENT = `{
+  _id,
+  title,
+  slug
+}`;
+
+export const fragments = {
+  image: IMAGE_FRAGMENT,
+  category: CATEGORY_FRAGMENT,
+  photoCard: PHOTO_CARD_FRAGMENT,
+  photoDetail: PHOTO_DETAIL_FRAGMENT,
+  projectCard: PROJECT_CARD_FRAGMENT,
+  projectDetail: PROJECT_DETAIL_FRAGMENT,
+  projectLink: PROJECT_LINK_FRAGMENT,
+};
+
+/**
+ * Default orderings
+ */
+export const orderings = {
+  photos: 'coalesce(order, 0) asc, coalesce(date, _createdAt) desc',
+  projects: 'coalesce(completionDate, _createdAt) desc',
+  categories: 'coalesce(order, 0) asc, title asc',
+};
+
+/**
+ * Sort options for the gallery
+ * Keys match the photo schema's Studio orderings where one exists. Every
+ * ordering ends with _id so pages never overlap or skip photos.
+ */
+export const photoSorts = {
+  customOrder: {
+    title: 'Display order',
+    order: `${orderings.photos}, _id asc`,
+  },
+  featuredDate: {
+    title: 'Featured first, then date',
+    order: 'coalesce(featured, false) desc, coalesce(date, _createdAt) desc, _id asc',
+  },
+  dateDesc: {
+    title: 'Newest first',
+    order: 'coalesce(date, _createdAt) desc, _id asc',
+  },
+  dateAsc: {
+    title: 'Oldest first',
+    order: 'coalesce(date, _createdAt) asc, _id asc',
+  },
+  locationAsc: {
+    title: 'Location A–Z',
+    order: 'lower(location) asc, coalesce(date, _createdAt) desc, _id asc',
+  },
+};
+
+/**
+ * Composable filters
+ * Each returns a GROQ condition and the parameters it references.
+ */
+export const filters = {
+  /**
+   * Documents in a category
+   *
+   * @param {string} slug - Category slug
+   * @returns {object} Filter with condition and params
+   */
+  category: slug => ({
+    condition: '$category in categories[]->slug.current',
+    params: { category: slug },
+  }),
+
+  /**
+   * Documents in several categories
+   *
+   * @param {Array<string>} slugs - Category slugs
+   * @param {string} match - 'any' (in at least one category) or 'all' (in every category)
+   * @returns {object} Filter with condition and params
+   */
+  categories: (slugs, match = 'any') => ({
+    condition: match === 'all'
+      ? 'count((categories[]->slug.current)[@ in $categories]) == count($categories)'
+      : 'count((categories[]->slug.current)[@ in $categories]) > 0',
+    params: { categories: slugs },
+  }),
+
+  /**
+   * Featured documents only
+   *
+   * @returns {object} Filter with condition and params
+   */
+  featured: () => ({
+    condition: 'featured == true',
+    params: {},
+  }),
+
+  /**
+   * Full-text prefix search; every word must match one of the fields
+   * Array-valued fields are spread into the list (`...coalesce(field, [])`).
+   *
+   * @param {string} term - Search text
+   * @param {Array<string>} fields - Fields to search (default: photo alt, caption, location and category titles)
+   * @returns {object} Filter with condition and params
+   */
+  search: (term, fields = ['alt', 'caption', 'location', '...coalesce(categories[]->title, [])']) => ({
+    condition: `[${fields.join(', ')}] match $search`,
+    params: {
+      search: getSearchTerms(term).map(word => `${word}*`),
+    },
+  }),
+
+  /**
+   * Documents dated within a range (either end optional, inclusive)
+   *
+   * @param {object} range - Range bounds
+   * @param {string} range.from - Earliest date (YYYY-MM-DD)
+   * @param {string} range.to - Latest date (YYYY-MM-DD)
+   * @param {string} range.field - Date field to compare (default 'date')
+   * @returns {object} Filter with condition and params
+   */
+  dateRange: ({ from, to, field = 'date' } = {}) => {
+    const conditions = [];
+    const params = {};
+
+    if (from) {
+      conditions.push(`${field} >= $dateFrom`);
+      params.dateFrom = from;
+    }
+    if (to) {
+      conditions.push(`${field} <= $dateTo`);
+      params.dateTo = to;
+    }
+
+    return { condition: conditions.join(' && '), params };
+  },
+
+  /**
+   * A single document by ID
+   *
+   * @param {string} id - Document ID
+   * @returns {object} Filter with condition and params
+   */
+  id: id => ({
+    condition: '_id == $id',
+    params: { id },
+  }),
+
+  /**
+   * A single document by slug
+   *
+   * @param {string} slug - Slug (slug.current)
+   * @returns {object} Filter with condition and params
+   */
+  slug: slug => ({
+    condition: 'slug.current == $slug',
+    params: { slug },
+  }),
+
+  /**
+   * Documents with a slug (the ones that have a page of their own)
+   *
+   * @returns {object} Filter with condition and params
+   */
+  hasSlug: () => ({
+    condition: 'defined(slug.current)',
+    params: {},
+  }),
+
+  /**
+   * Documents referencing another document
+   *
+   * @param {string} id - Referenced document ID
+   * @returns {object} Filter with condition and params
+   */
+  references: id => ({
+    condition: 'references($referenceId)',
+    params: { referenceId: id },
+  }),
+
+  /**
+   * Documents referenced by at least one document of another type
+   *
+   * @param {string} type - Referencing document type
+   * @returns {object} Filter with condition and params
+   */
+  referencedBy: type => ({
+    condition: 'count(*[_type == $referencingType && references(^._id)]) > 0',
+    params: { referencingType: type },
+  }),
+};
+
+/**
+ * Split search text into the words the search filter matches
+ * Punctuation is dropped, as GROQ's match tokenizer would.
+ *
+ * @param {string} text - Search text
+ * @returns {Array<string>} Words
+ */
+export function getSearchTerms(text) {
+  return String(text || '').split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+/**
+ * Build a query from a type, filters, ordering, slice and projection
+ *
+ * @param {object} options - Query options
+ * @param {string} options.type - Document type
+ * @param {Array<object>} options.filters - Filters from `filters` (falsy entries are skipped)
+ * @param {string} options.order - GROQ ordering, e.g. orderings.photos
+ * @param {number} options.offset - Index of the first result
+ * @param {number} options.limit - Maximum number of results (omit for all)
+ * @param {boolean} options.single - Return only the first match
+ * @param {string} options.projection - Projection, e.g. fragments.photoCard
+ * @returns {object} Object with query and params
+ */
+export function buildQuery({
+  type,
+  filters: queryFilters = [],
+  order,
+  offset = 0,
+  limit,
+  single = false,
+  projection = '',
+}) {
+  const activeFilters = queryFilters.filter(filter => filter?.condition);
+  const conditions = ['_type == $type', ...activeFilters.map(filter => filter.condition)];
+  const params = Object.assign({ type }, ...activeFilters.map(filter => filter.params));
+
+  let query = `*[${conditions.join(' && ')}]`;
+
+  if (order) {
+    query += ` | order(${order})`;
+  }
+
+  if (single) {
+    query += '[0]';
+  } else if (limit !== undefined) {
+    query += '[$start...$end]';
+    params.start = offset;
+    params.end = offset + limit;
+  }
+
+  if (projection) {
+    query += ` ${projection}`;
+  }
+
+  return { query, params };
+}
+
+/**
+ * Photos for the gallery grid
+ *
+ * @param {object} options - List options
+ * @param {string|Array<string>} options.category - Category slug or slugs ('all' or empty for every category)
+ * @param {string} options.match - With several categories: 'any' or 'all' of them
+ * @param {string} options.sort - Key of photoSorts (defaults to the display order)
+ * @param {boolean} options.featured - Only featured photos
+ * @param {string} options.search - Search text
+ * @param {object} options.dateRange - { from, to } date bounds
+ * @param {number} options.offset - Index of the first photo
+ * @param {number} options.limit - Page size
+ * @returns {object} Object with query and params
+ */
+export function photoListQuery({ category, match, sort, featured, search, dateRange, offset = 0, limit } = {}) {
+  return buildQuery({
+    type: contentTypes.PHOTO,
+    filters: getPhotoFilters({ category, match, featured, search, dateRange }),
+    order: (photoSorts[sort] || photoSorts.customOrder).order,
+    offset,
+    limit,
+    projection: fragments.photoCard,
+  });
+}
+
+/**
+ * Total number of photos matching the gallery filters
+ * Accepts the same filter options as photoListQuery (offset and limit are ignored).
+ *
+ * @param {object} options - Filter options
+ * @returns {object} Object with query and params
+ */
+export function photoCountQuery({ category, match, featured, search, dateRange } = {}) {
+  const { query, params } = buildQuery({
+    type: contentTypes.PHOTO,
+    filters: getPhotoFilters({ category, match, featured, search, dateRange }),
+  });
+
+  return { query: `count(${query})`, params };
+}
+
+/**
+ * Filters shared by the photo list and count queries
+ *
+ * @param {object} options - Filter options (see photoListQuery)
+ * @returns {Array<object|false>} Filters for buildQuery
+ */
+function getPhotoFilters({ category, match, featured, search, dateRange }) {
+  const slugs = [].concat(category || []).filter(slug => slug && slug !== 'all');
+
+  return [
+    slugs.length === 1 && filters.category(slugs[0]),
+    slugs.length > 1 && filters.categories(slugs, match),
+    featured && filters.featured(),
+    getSearchTerms(search).length > 0 && filters.search(search),
+    dateRange && filters.dateRange(dateRange),
+  ];
+}
+
+/**
+ * Featured photos for the index page teaser
+ *
+ * @param {number} limit - Number of photos
+ * @returns {object} Object with query and params
+ */
+export function featuredPhotosQuery(limit = 4) {
+  return photoListQuery({ featured: true, limit });
+}
+
+/**
+ * A single photo with its full details
+ *
+ * @param {string} id - Photo document ID
+ * @returns {object} Object with query and params
+ */
+export function photoByIdQuery(id) {
+  return buildQuery({
+    type: contentTypes.PHOTO,
+    filters: [filters.id(id)],
+    single: true,
+    projection: fragments.photoDetail,
+  });
+}
+
+/**
+ * IDs of the photos that reference a document (e.g. a category)
+ *
+ * @param {string} id - Referenced document ID
+ * @returns {object} Object with query and params
+ */
+export function photosReferencingQuery(id) {
+  return buildQuery({
+    type: contentTypes.PHOTO,
+    filters: [filters.references(id)],
+    projection: '{ _id }',
+  });
+}
+
+/**
+ * The type of a document (null if it doesn't exist)
+ *
+ * @param {string} id - Document ID
+ * @returns {object} Object with query and params
+ */
+export function documentTypeQuery(id) {
+  return { query: '*[_id == $id][0]._type', params: { id } };
+}
+
+/**
+ * Featured projects for the index page
+ *
+ * @param {number} limit - Number of projects
+ * @returns {object} Object with query and params
+ */
+export function featuredProjectsQuery(limit) {
+  return buildQuery({
+    type: contentTypes.PROJECT,
+    filters: [filters.featured()],
+    order: orderings.projects,
+    limit,
+    projection: fragments.projectCard,
+  });
+}
+
+/**
+ * Every project, for the projects index (filtered in the browser)
+ *
+ * @returns {object} Object with query and params
+ */
+export function projectListQuery() {
+  return buildQuery({
+    type: contentTypes.PROJECT,
+    order: `${orderings.projects}, _id asc`,
+    limit: queryLimits.maxProjects,
+    projection: fragments.projectCard,
+  });
+}
+
+/**
+ * A single project card
+ *
+ * @param {string} id - Project document ID
+ * @returns {object} Object with query and params
+ */
+export function projectByIdQuery(id) {
+  return buildQuery({
+    type: contentTypes.PROJECT,
+    filters: [filters.id(id)],
+    single: true,
+    projection: fragments.projectCard,
+  });
+}
+
+/**
+ * A project page: the project with its full details, plus every project in
+ * display order (for previous/next links). Result: { project, projects[] },
+ * where project is null if no project has the slug.
+ *
+ * @param {string} slug - Project slug
+ * @returns {object} Object with query and params
+ */
+export function projectDetailQuery(slug) {
+  const project = buildQuery({
+    type: contentTypes.PROJECT,
+    filters: [filters.slug(slug)],
+    single: true,
+    projection: fragments.projectDetail,
+  });
+  const projects = buildQuery({
+    type: contentTypes.PROJECT,
+    filters: [filters.hasSlug()],
+    order: `${orderings.projects}, _id asc`,
+    projection: fragments.projectLink,
+  });
+
+  return {
+    query: `{ "project": ${project.query}, "projects": ${projects.query} }`,
+    params: { ...projects.params, ...project.params },
+  };
+}
+
+/**
+ * Categories for the gallery filter bar, with photo counts
+ * Categories without photos are left out. Result: { total, categories[] },
+ * where total is the number of photos the "All" filter shows.
+ *
+ * @returns {object} Object with query and params
+ */
+export function categoryFiltersQuery() {
+  const { query, params } = buildQuery({
+    type: contentTypes.CATEGORY,
+    filters: [filters.referencedBy(contentTypes.PHOTO)],
+    order: orderings.categories,
+    projection: `{
+      _id,
+      title,
+      slug,
+      order,
+      "photoCount": count(*[_type == $referencingType && references(^._id)])
+    }`,
+  });
+
+  return {
+    query: `{ "total": count(*[_type == $referencingType]), "categories": ${query} }`,
+    params,
+  };
+}
@@ -7,61 +7,133 @@
  *
  * Features:
  * - Render projects on index page
+ * - Project detail pages (project.html?slug=) with previous/next navigation
+ * - Projects index (projects.html) filtered by technology and project type, with counts and URL state
  * - Render featured photos on index page
  * - Render photo gallery with category filtering
+ * - Category filter bar built from the CMS, with photo counts
+ * - Multi-select category filtering (match any or all), shareable via the URL
+ * - Sort dropdown for the gallery, kept in the URL
+ * - Debounced full-text search with highlighted matches and category suggestions
+ * - Gallery pagination with "Load More" and a "Showing X of Y" status
  * - URL parameter handling for category filtering
- * - Responsive image loading and error handling
+ * - Responsive <picture> images with format fallbacks and error handling
+ * - Markup built with auto-escaping html`...` templates (see html.js)
+ * - Instant repaint from cached query results, refreshed in the background
+ * - Draft badges on unpublished content in preview mode
+ * - Blurred placeholders that crossfade to the loaded image
+ * - Square, justified or masonry gallery tiles (see gallery-layout.js)
+ * - Virtualized gallery grid for large collections (see virtual-grid.js)
+ * - Per-photo accent colours from the image palette
+ * - Hydration of markup pre-rendered at build time (tools/prerender.mjs)
  */
 
-import { fetchSanity, buildImageUrl, getResponsiveImageUrls } from './sanity-client.js';
-import { contentTypes, projectConfig, galleryConfig } from './config.js';
+import { fetchSanity } from './sanity-client.js';
+import { projectConfig, galleryConfig, imageLayouts } from './config.js';
+import { featuredProjectsQuery, projectListQuery, projectDetailQuery, featuredPhotosQuery, photoListQuery, photoCountQuery, categoryFiltersQuery, photoSorts, getSearchTerms } from './queries.js';
+import { getPictureSources, renderPicture } from './picture.js';
+import { html, safeUrl, toElement, setContent } from './html.js';
+import { isDraftDocument } from './preview.js';
+import { getPhotoAccent, applyAccent } from './palette.js';
+import { describeSanityError } from './sanity-errors.js';
+import { getGalleryLayout, getPhotoAspectRatio } from './gallery-layout.js';
+import { startVirtualGrid, resetVirtualGrid, setVirtualPhotos, isVirtualGridActive } from './virtual-grid.js';
+
+// Badge marking unpublished documents while in preview mode
+const DRAFT_BADGE = html`<span class="absolute top-2 left-2 z-10 bg-brand-yellow text-black text-xs font-semibold px-2 py-1 rounded">Draft</span>`;
+
+// Classes toggled on category filter buttons
+const FILTER_ACTIVE_CLASSES = ['active', 'bg-brand-green', 'text-black'];
+const FILTER_INACTIVE_CLASSES = ['bg-gray-800', 'hover:bg-gray-700', 'text-white'];
+
+// Every project on the projects index, filtered in the browser
+let projectIndexProjects = [];
+
+// Controller for the most recent gallery render; aborted when a newer render starts
+let galleryRenderController = null;
+
+// Gallery pagination: the category selection, search and sort the grid shows, photos fetched so far and the total matching
+// (photos holds the data for every loaded tile, mounted or not)
+const galleryPagination = {
+  selection: { categories: [], match: 'any', sort: galleryConfig.defaultSort, search: '' },
+  photos: [],
+  loaded: 0,
+  total: 0,
+};
+
+// Pending debounced search
+let searchTimer = null;
+
+// Page request in flight, shared so the button and infinite scroll never fetch the same page twice
+let pendingPage = null;
 
 /**
  * Initialize all rendering when DOM is loaded
+ * Binds the page's controls once, then renders it with renderPage().
+ *
+ * @returns {Promise<void>} Resolves once the page's first render has finished; rejects if it failed
  */
 export function initRendering() {
-  // Check if we're on the index page or gallery page
-  const isIndexPage = window.location.pathname.endsWith('/') || window.location.pathname.endsWith('index.html');
-  const isGalleryPage = window.location.pathname.endsWith('gallery.html');
+  const page = getCurrentPage();
 
-  if (isIndexPage) {
-    initIndexPage();
-  } else if (isGalleryPage) {
-    initGalleryPage();
+  if (page === 'gallery') {
+    // Initialize category filtering, sorting and search first
+    initCategoryFiltering();
+    initSortControl();
+    initSearchControl();
+  } else if (page === 'projects') {
+    initProjectFiltering();
   }
+
+  return renderPage();
 }
 
 /**
- * Initialize index page rendering
+ * Render (or re-render) the current page's content from the CMS
+ * Binds no controls, so it is safe to call again, e.g. to retry after a failure.
+ *
+ * @returns {Promise<void>} Resolves once the page has rendered; rejects with the first error
  */
-async function initIndexPage() {
-  try {
-    // Render projects and photos in parallel for better performance
-    await Promise.all([
-      renderProjects(),
-      renderPhotoTeaser(),
-    ]);
-  } catch (error) {
-    console.error('Error initializing index page:', error);
-    showErrorMessage('Failed to load content from CMS');
+export async function renderPage() {
+  switch (getCurrentPage()) {
+    case 'index':
+      // Render projects and photos in parallel for better performance
+      await Promise.all([
+        renderProjects(),
+        renderPhotoTeaser(),
+      ]);
+      break;
+    case 'gallery':
+      await renderGallery();
+      break;
+    case 'project':
+      await renderProjectDetail();
+      break;
+    case 'projects':
+      await renderProjectIndex();
+      break;
   }
 }
 
 /**
- * Initialize gallery page rendering
+ * Work out which page this is from its path
+ *
+ * @returns {string|null} 'index', 'gallery', 'project', 'projects' or null
  */
-async function initGalleryPage() {
-  try {
-    // Initialize category filtering first
-    initCategoryFiltering();
-
-    // Render initial photos
-    await renderGallery();
-
-  } catch (error) {
-    console.error('Error initializing gallery page:', error);
-    showErrorMessage('Failed to load gallery from CMS');
+function getCurrentPage() {
+  const { pathname } = window.location;
+
+  if (pathname.endsWith('/') || pathname.endsWith('index.html')) {
+    return 'index';
+  } else if (pathname.endsWith('gallery.html')) {
+    return 'gallery';
+  } else if (pathname.endsWith('project.html')) {
+    return 'project';
+  } else if (pathname.endsWith('projects.html')) {
+    return 'projects';
   }
+
+  return null;
 }
 
 /**
@@ -70,503 +142,1811 @@ async function initGalleryPage() {
 export async function renderProjects() {
   try {
     // Show loading state
-    const projectsContainer = document.querySelector('.grid.grid-cols-1.md\\:grid-cols-2.lg\\:grid-cols-3.gap-8.mb-12');
+    const projectsContainer = findProjectsContainer();
     if (!projectsContainer) {
       console.warn('Projects container not found');
       return;
     }
 
-    // Add loading indicator
-    projectsContainer.innerHTML = '<div class="col-span-full text-center py-8"><p class="text-gray-400">Loading projects...</p></div>';
-
-    // Fetch featured projects from Sanity
-    const query = `
-      *[_type == $type && featured == true] | order(coalesce(completionDate, _createdAt) desc) [0...$limit] {
-        _id,
-        title,
-        slug,
-        description,
-        url,
-        image,
-        techTags,
-        githubUrl,
-        completionDate,
-        projectType
-      }
-    `;
-
-    const projects = await fetchSanity(query, {
-      type: contentTypes.PROJECT,
-      limit: projectConfig.featuredProjectCount,
-    });
-
-    // Clear loading state
-    projectsContainer.innerHTML = '';
-
-    if (!projects || projects.length === 0) {
-      projectsContainer.innerHTML = '<div class="col-span-full text-center py-8"><p class="text-gray-400">No projects found. Add some projects in your Sanity CMS.</p></div>';
-      return;
+    // Keep pre-rendered cards on screen; otherwise add a loading indicator
+    const prerendered = takePrerenderedSignature(projectsContainer);
+    if (!prerendered) {
+      setContent(projectsContainer, html`<div class="col-span-full text-center py-8"><p class="text-gray-400">Loading projects...</p></div>`);
     }
 
-    // Render each project
-    projects.forEach(project => {
-      const projectElement = createProjectElement(project);
-      projectsContainer.appendChild(projectElement);
+    const projects = await fetchFeaturedProjects({
+      // Repaint if a background refresh returns newer data than the cache
+      onUpdate: freshProjects => paintProjects(projectsContainer, freshProjects),
     });
 
-    // Update loading text
-    const loadingText = document.querySelector('.grid.grid-cols-1.md\\:grid-cols-2.lg\\:grid-cols-3.gap-8.mb-12 + div');
-    if (loadingText) {
-      loadingText.innerHTML = `<p class="text-gray-400 mb-6">${projects.length} project${projects.length !== 1 ? 's' : ''} loaded from Sanity CMS</p>`;
+    // Pre-rendered cards only need replacing if the content changed since the build
+    if (prerendered !== getDataSignature(projects)) {
+      paintProjects(projectsContainer, projects);
     }
 
   } catch (error) {
     console.error('Error rendering projects:', error);
-    showErrorMessage('Failed to load projects');
+    throw error;
+  }
+}
+
+/**
+ * Fetch the featured projects shown on the index page
+ *
+ * @param {object} options - fetchSanity options (cache, ttl, onUpdate, signal)
+ * @returns {Promise<Array>} Array of projects
+ */
+export async function fetchFeaturedProjects(options = {}) {
+  const { query, params } = featuredProjectsQuery(projectConfig.featuredProjectCount);
+  return fetchSanity(query, params, options);
+}
+
+/**
+ * Paint project cards into the projects container
+ *
+ * @param {HTMLElement} projectsContainer - Projects grid element
+ * @param {Array} projects - Projects from Sanity
+ */
+export function paintProjects(projectsContainer, projects) {
+  // Clear loading state
+  projectsContainer.replaceChildren();
+
+  if (!projects || projects.length === 0) {
+    setContent(projectsContainer, html`<div class="col-span-full text-center py-8"><p class="text-gray-400">No projects found. Add some projects in your Sanity CMS.</p></div>`);
+    return;
+  }
+
+  // Render each project
+  projects.forEach(project => {
+    const projectElement = createProjectElement(project);
+    projectsContainer.appendChild(projectElement);
+  });
+
+  // Update loading text (the links beside it stay)
+  const loadingText = document.querySelector('.grid.grid-cols-1.md\\:grid-cols-2.lg\\:grid-cols-3.gap-8.mb-12 + div > p');
+  if (loadingText) {
+    loadingText.textContent = `${projects.length} project${projects.length !== 1 ? 's' : ''} loaded from Sanity CMS`;
   }
 }
 
+/**
+ * Find the projects grid on the index page
+ *
+ * @returns {HTMLElement|null} Projects container
+ */
+export function findProjectsContainer() {
+  return document.querySelector('.grid.grid-cols-1.md\\:grid-cols-2.lg\\:grid-cols-3.gap-8.mb-12');
+}
+
 /**
  * Create a project card element
  *
  * @param {object} project - Project data from Sanity
  * @returns {HTMLElement} Project card element
  */
-function createProjectElement(project) {
-  const projectDiv = document.createElement('div');
-  projectDiv.className = 'bg-gray-900 rounded-lg overflow-hidden border border-gray-800 hover:border-brand-green transition-colors';
-
-  // Get responsive image URLs
-  const imageUrls = getResponsiveImageUrls(project.image, {
-    width: 600,
-    height: 400,
-    fit: 'fill',
+export function createProjectElement(project) {
+  // Responsive picture with format fallbacks
+  const picture = renderPicture(project.image, imageLayouts.projectCard, {
+    alt: project.title,
+    className: 'block w-full h-full',
+    imgClassName: 'w-full h-full object-cover transition-opacity duration-500',
   });
 
   const techTags = project.techTags || [];
   const displayTags = techTags.slice(0, projectConfig.maxTechTags);
+  const detailUrl = getProjectUrl(project);
 
-  projectDiv.innerHTML = `
-    <div class="aspect-video bg-gray-800 flex items-center justify-center">
-      <img src="${imageUrls?.medium || ''}"
-           alt="${project.title}"
-           class="w-full h-full object-cover"
-           loading="lazy"
-           onerror="this.onerror=null; this.src='${imageUrls?.small || ''}';">
-    </div>
-    <div class="p-6">
-      <h3 class="text-xl font-semibold mb-2 text-brand-green">${escapeHtml(project.title)}</h3>
-      <p class="text-gray-300 mb-4">${escapeHtml(project.description)}</p>
-      ${displayTags.length > 0 ? `
-        <div class="flex flex-wrap gap-2 mb-4">
-          ${displayTags.map(tag => `<span class="bg-brand-yellow text-black px-2 py-1 rounded text-sm">${escapeHtml(tag)}</span>`).join('')}
-          ${techTags.length > projectConfig.maxTechTags ? `<span class="text-gray-400 text-sm">+${techTags.length - projectConfig.maxTechTags} more</span>` : ''}
-        </div>
-      ` : ''}
-      <div class="flex gap-4">
-        <a href="${escapeHtml(project.url)}"
-           target="_blank"
-           rel="noopener noreferrer"
-           class="text-brand-green hover:text-brand-neon transition-colors">Live Demo</a>
-        ${project.githubUrl && projectConfig.showGithubLink ? `
-          <a href="${escapeHtml(project.githubUrl)}"
+  return toElement(html`
+    <div class="bg-gray-900 rounded-lg overflow-hidden border border-gray-800 hover:border-brand-green transition-colors" data-project-id="${project._id}">
+      <div class="aspect-video bg-gray-800 flex items-center justify-center relative">
+        ${isDraftDocument(project) && DRAFT_BADGE}
+        ${picture || html`<span class="text-gray-400">Project Image</span>`}
+      </div>
+      <div class="p-6">
+        <h3 class="text-xl font-semibold mb-2 text-brand-green">
+          ${detailUrl ? html`<a href="${detailUrl}" class="hover:text-brand-neon transition-colors">${project.title}</a>` : project.title}
+        </h3>
+        <p class="text-gray-300 mb-4">${project.description}</p>
+        ${displayTags.length > 0 && html`
+          <div class="flex flex-wrap gap-2 mb-4">
+            ${displayTags.map(tag => html`
+              <a href="${getProjectIndexUrl({ tech: tag })}"
+                 class="bg-brand-yellow hover:bg-brand-yellow-dark text-black px-2 py-1 rounded text-sm transition-colors"
+                 data-tech-tag="${tag}"
+                 aria-label="Show ${tag} projects">${tag}</a>
+            `)}
+            ${techTags.length > projectConfig.maxTechTags && html`<span class="text-gray-400 text-sm">+${techTags.length - projectConfig.maxTechTags} more</span>`}
+          </div>
+        `}
+        <div class="flex gap-4">
+          ${detailUrl && html`
+            <a href="${detailUrl}" class="text-brand-green hover:text-brand-neon transition-colors">Details</a>
+          `}
+          <a href="${safeUrl(project.url)}"
              target="_blank"
              rel="noopener noreferrer"
-             class="text-brand-green hover:text-brand-neon transition-colors">Source</a>
-        ` : ''}
+             class="text-brand-green hover:text-brand-neon transition-colors">Live Demo</a>
+          ${project.githubUrl && projectConfig.showGithubLink && html`
+            <a href="${safeUrl(project.githubUrl)}"
+               target="_blank"
+               rel="noopener noreferrer"
+               class="text-brand-green hover:text-brand-neon transition-colors">Source</a>
+          `}
+        </div>
       </div>
     </div>
-  `;
+  `);
+}
 
-  return projectDiv;
+/**
+ * Get the page URL for a project
+ *
+ * @param {object} project - Project with a slug
+ * @returns {string|null} Relative URL of the project page, or null if it has no slug
+ */
+export function getProjectUrl(project) {
+  const slug = project?.slug?.current;
+  return slug ? `project.html?slug=${encodeURIComponent(slug)}` : null;
 }
 
 /**
- * Render featured photos on index page
+ * Render the project named by the ?slug= parameter on the project page
  */
-export async function renderPhotoTeaser() {
+export async function renderProjectDetail() {
   try {
-    // Find the photo teaser container
-    const photoContainer = document.querySelector('.grid.grid-cols-2.gap-4');
-    if (!photoContainer) {
-      console.warn('Photo teaser container not found');
+    const detailContainer = findProjectDetailContainer();
+    if (!detailContainer) {
+      console.warn('Project detail container not found');
       return;
     }
 
-    // Add loading state
-    photoContainer.innerHTML = '<div class="col-span-2 text-center py-4"><p class="text-gray-400">Loading photos...</p></div>';
-
-    // Fetch featured photos from Sanity
-    const query = `
-      *[_type == $type && featured == true] | order(coalesce(order, 0) asc, coalesce(date, _createdAt) desc) [0...4] {
-        _id,
-        image,
-        alt,
-        caption,
-        categories[]->{
-          _id,
-          title,
-          slug
-        }
-      }
-    `;
-
-    const photos = await fetchSanity(query, {
-      type: contentTypes.PHOTO,
-    });
-
-    // Clear loading state
-    photoContainer.innerHTML = '';
-
-    if (!photos || photos.length === 0) {
-      // Create placeholder photos if none found
-      for (let i = 0; i < 4; i++) {
-        const placeholderDiv = document.createElement('div');
-        placeholderDiv.className = 'aspect-square bg-gray-800 rounded-lg flex items-center justify-center';
-        placeholderDiv.innerHTML = '<span class="text-gray-400 text-sm">Featured Photo</span>';
-        photoContainer.appendChild(placeholderDiv);
-      }
+    const slug = getUrlParam('slug');
+    if (!slug) {
+      paintProjectDetail(detailContainer, { project: null, projects: [] });
       return;
     }
 
-    // Render each photo
-    photos.forEach(photo => {
-      const photoElement = createPhotoTeaserElement(photo);
-      photoContainer.appendChild(photoElement);
+    setContent(detailContainer, html`<div class="text-center py-20"><p class="text-gray-400">Loading project...</p></div>`);
+
+    const detail = await fetchProjectDetail(slug, {
+      // Repaint if a background refresh returns newer data than the cache
+      onUpdate: freshDetail => paintProjectDetail(detailContainer, freshDetail),
     });
 
+    paintProjectDetail(detailContainer, detail);
+
   } catch (error) {
-    console.error('Error rendering photo teaser:', error);
-    showErrorMessage('Failed to load featured photos');
+    console.error('Error rendering project:', error);
+    throw error;
   }
 }
 
 /**
- * Create a photo teaser element for index page
+ * Fetch a project and the list used for its previous/next links
  *
- * @param {object} photo - Photo data from Sanity
- * @returns {HTMLElement} Photo element
+ * @param {string} slug - Project slug
+ * @param {object} options - fetchSanity options (cache, ttl, onUpdate, signal)
+ * @returns {Promise<object>} Object with project (or null) and projects
+ */
+export async function fetchProjectDetail(slug, options = {}) {
+  const { query, params } = projectDetailQuery(slug);
+  return fetchSanity(query, params, options);
+}
+
+/**
+ * Find the project page's content element
+ *
+ * @returns {HTMLElement|null} Project detail container
+ */
+export function findProjectDetailContainer() {
+  return document.getElementById('project-detail');
+}
+
+/**
+ * Paint a project page
+ *
+ * @param {HTMLElement} detailContainer - Project detail container
+ * @param {object} detail - Result of fetchProjectDetail
+ * @param {object|null} detail.project - Project with its full details
+ * @param {Array<object>} detail.projects - Every project with a page, in display order
  */
-function createPhotoTeaserElement(photo) {
-  const photoDiv = document.createElement('div');
-  photoDiv.className = 'aspect-square bg-gray-800 rounded-lg overflow-hidden';
+export function paintProjectDetail(detailContainer, { project, projects = [] }) {
+  if (!project) {
+    document.title = 'Project not found - KatGrapher Studio';
+    setContent(detailContainer, html`
+      <div class="text-center py-20">
+        <h1 class="text-3xl font-bold mb-4">Project not found</h1>
+        <p class="text-gray-400 mb-8">This project may have been renamed or removed.</p>
+        <a href="projects.html" class="bg-brand-green hover:bg-brand-green-dark text-black px-8 py-3 rounded font-semibold transition-colors">
+          View all projects
+        </a>
+      </div>
+    `);
+    return;
+  }
+
+  document.title = `${project.title} - KatGrapher Studio`;
+  document.querySelector('meta[name="description"]')?.setAttribute('content', project.description || '');
 
-  // Get responsive image URLs
-  const imageUrls = getResponsiveImageUrls(photo.image, {
-    width: 400,
-    height: 400,
-    fit: 'fill',
+  const picture = renderPicture(project.image, imageLayouts.projectDetail, {
+    alt: project.title,
+    className: 'block w-full h-full',
+    imgClassName: 'w-full h-full object-cover transition-opacity duration-500',
+    loading: 'eager',
   });
 
-  photoDiv.innerHTML = `
-    <img src="${imageUrls?.small || ''}"
-         alt="${escapeHtml(photo.alt)}"
-         class="w-full h-full object-cover transition-transform hover:scale-105"
-         loading="lazy"
-         onerror="this.onerror=null; this.style.display='none'; this.nextElementSibling.style.display='flex';">
-    <div class="w-full h-full flex items-center justify-center bg-gray-900 hidden">
-      <span class="text-gray-400 text-sm">Photo</span>
-    </div>
-  `;
+  const typeLabel = projectConfig.typeLabels[project.projectType];
+  const completed = formatProjectDate(project.completionDate);
+  const techTags = project.techTags || [];
 
-  return photoDiv;
+  // Neighbours in the same order as the index page
+  const index = projects.findIndex(item => item._id === project._id);
+  const previous = index > 0 ? projects[index - 1] : null;
+  const next = index >= 0 && index < projects.length - 1 ? projects[index + 1] : null;
+
+  setContent(detailContainer, html`
+    <article data-project-detail="${project._id}">
+      <a href="projects.html" class="inline-block mb-8 text-gray-400 hover:text-brand-green transition-colors">← All projects</a>
+
+      <header class="mb-8">
+        <h1 class="text-4xl md:text-5xl font-bold mb-4 text-brand-green">${project.title}</h1>
+        ${(typeLabel || completed) && html`
+          <dl class="flex flex-wrap gap-x-8 gap-y-2 text-gray-400">
+            ${typeLabel && html`<div class="flex gap-2"><dt>Type:</dt><dd><a href="${getProjectIndexUrl({ type: project.projectType })}" class="text-white hover:text-brand-green transition-colors">${typeLabel}</a></dd></div>`}
+            ${completed && html`<div class="flex gap-2"><dt>Completed:</dt><dd class="text-white"><time datetime="${project.completionDate}">${completed}</time></dd></div>`}
+          </dl>
+        `}
+      </header>
+
+      <div class="aspect-video bg-gray-800 rounded-lg overflow-hidden flex items-center justify-center relative mb-12">
+        ${isDraftDocument(project) && DRAFT_BADGE}
+        ${picture || html`<span class="text-gray-400">Project Image</span>`}
+      </div>
+
+      <div class="grid grid-cols-1 lg:grid-cols-3 gap-12">
+        <div class="lg:col-span-2 space-y-10">
+          <section>
+            <h2 class="text-2xl font-semibold mb-4">About the project</h2>
+            <p class="text-lg text-gray-300 whitespace-pre-line">${project.description}</p>
+          </section>
+          ${project.challenges && html`
+            <section>
+              <h2 class="text-2xl font-semibold mb-4">Challenges &amp; solutions</h2>
+              <p class="text-lg text-gray-300 whitespace-pre-line">${project.challenges}</p>
+            </section>
+          `}
+        </div>
+
+        <aside class="space-y-8">
+          ${techTags.length > 0 && html`
+            <section>
+              <h2 class="text-xl font-semibold mb-4">Tech stack</h2>
+              <div class="flex flex-wrap gap-2">
+                ${techTags.map(tag => html`
+                  <a href="${getProjectIndexUrl({ tech: tag })}"
+                     class="bg-brand-yellow hover:bg-brand-yellow-dark text-black px-2 py-1 rounded text-sm transition-colors"
+                     aria-label="Show ${tag} projects">${tag}</a>
+                `)}
+              </div>
+            </section>
+          `}
+          <div class="flex flex-col gap-4">
+            <a href="${safeUrl(project.url)}"
+               target="_blank"
+               rel="noopener noreferrer"
+               class="bg-brand-green hover:bg-brand-green-dark text-black text-center px-6 py-3 rounded font-semibold transition-colors">View live site</a>
+            ${project.githubUrl && projectConfig.showGithubLink && html`
+              <a href="${safeUrl(project.githubUrl)}"
+                 target="_blank"
+                 rel="noopener noreferrer"
+                 class="border-2 border-brand-green text-brand-green hover:bg-brand-green hover:text-black text-center px-6 py-3 rounded font-semibold transition-colors">View source</a>
+            `}
+          </div>
+        </aside>
+      </div>
+    </article>
+
+    ${(previous || next) && html`
+      <nav class="flex justify-between gap-6 mt-16 pt-8 border-t border-gray-800" aria-label="More projects">
+        ${previous ? createProjectNavLink(previous, 'previous') : html`<span></span>`}
+        ${next ? createProjectNavLink(next, 'next') : html`<span></span>`}
+      </nav>
+    `}
+  `);
 }
 
 /**
- * Render photo gallery with category filtering
+ * Build a previous/next link on the project page
+ *
+ * @param {object} project - Linked project (title and slug)
+ * @param {string} direction - 'previous' or 'next'
+ * @returns {SafeHtml} Link markup
  */
-export async function renderGallery() {
-  try {
-    const photoGrid = document.getElementById('photo-grid');
-    if (!photoGrid) {
-      console.warn('Photo grid not found');
-      return;
-    }
+function createProjectNavLink(project, direction) {
+  const isNext = direction === 'next';
+  return html`
+    <a href="${getProjectUrl(project)}" class="group block max-w-xs ${isNext ? 'ml-auto text-right' : ''}">
+      <span class="block text-sm text-gray-400">${isNext ? 'Next project →' : '← Previous project'}</span>
+      <span class="block text-lg font-semibold text-brand-green group-hover:text-brand-neon transition-colors">${project.title}</span>
+    </a>
+  `;
+}
 
-    // Get current category filter from URL
-    const currentCategory = getUrlParam('category') || 'all';
+/**
+ * Format a project completion date for display
+ *
+ * @param {string} date - Date as YYYY-MM-DD
+ * @returns {string|null} Month and year, e.g. "May 2024", or null if missing
+ */
+function formatProjectDate(date) {
+  if (!date) {
+    return null;
+  }
 
-    // Show loading state
-    photoGrid.innerHTML = '<div class="col-span-full text-center py-12"><p class="text-gray-400">Loading photos...</p></div>';
+  const parsed = new Date(`${date}T00:00:00Z`);
+  if (Number.isNaN(parsed.getTime())) {
+    return null;
+  }
 
-    // Fetch photos and categories in parallel
-    const [photos, categories] = await Promise.all([
-      fetchPhotos(currentCategory),
-      fetchCategories(),
-    ]);
+  return parsed.toLocaleDateString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+}
+
+/**
+ * Get the projects index URL for a filter
+ *
+ * @param {object} selection - Object with tech and/or type
+ * @returns {string} Relative URL of the projects index
+ */
+export function getProjectIndexUrl({ tech, type } = {}) {
+  const params = new URLSearchParams();
+  if (tech) {
+    params.set('tech', tech);
+  }
+  if (type) {
+    params.set('type', type);
+  }
 
-    // Clear loading state
-    photoGrid.innerHTML = '';
+  const query = params.toString();
+  return query ? `projects.html?${query}` : 'projects.html';
+}
 
-    if (!photos || photos.length === 0) {
-      photoGrid.innerHTML = '<div class="col-span-full text-center py-12"><p class="text-gray-400">No photos found for this category.</p></div>';
+/**
+ * Render the projects index, filtered by the ?tech= and ?type= parameters
+ */
+export async function renderProjectIndex() {
+  try {
+    const indexContainer = findProjectIndexContainer();
+    if (!indexContainer) {
+      console.warn('Projects index container not found');
       return;
     }
 
-    // Store categories for filtering
-    window.galleryCategories = categories || [];
+    // Keep pre-rendered cards on screen; otherwise add a loading state
+    const prerendered = takePrerenderedSignature(indexContainer);
+    const grid = document.getElementById('project-grid');
+    if (!prerendered && grid) {
+      setContent(grid, html`<div class="col-span-full text-center py-8"><p class="text-gray-400">Loading projects...</p></div>`);
+    }
 
-    // Render photos
-    photos.forEach(photo => {
-      const photoElement = createGalleryPhotoElement(photo);
-      photoGrid.appendChild(photoElement);
+    const projects = await fetchAllProjects({
+      // Repaint if a background refresh returns newer data than the cache
+      onUpdate: updateProjectIndex,
     });
+    projectIndexProjects = projects || [];
 
-    // Update load more button visibility
-    updateLoadMoreButton(photos.length);
+    // The build renders every project unfiltered
+    const selection = getProjectSelection();
+    if (prerendered !== getDataSignature(projects) || selection.tech || selection.type) {
+      paintProjectIndex(indexContainer, projectIndexProjects, selection);
+    }
 
   } catch (error) {
-    console.error('Error rendering gallery:', error);
-    showErrorMessage('Failed to load gallery photos');
+    console.error('Error rendering projects index:', error);
+    throw error;
   }
 }
 
 /**
- * Fetch photos from Sanity with optional category filtering
+ * Replace the projects index data after a live update and repaint it in place
+ * No loading state, so the index doesn't flash on every edit.
  *
- * @param {string} categorySlug - Category slug to filter by ('all' for no filter)
- * @param {number} offset - Number of photos to skip (for pagination)
- * @param {number} limit - Maximum number of photos to return
- * @returns {Promise<Array>} Array of photos
+ * @param {Array} projects - Every project
  */
-async function fetchPhotos(categorySlug = 'all', offset = 0, limit = galleryConfig.initialLoadCount) {
-  try {
-    let query;
-
-    if (categorySlug === 'all') {
-      // Fetch all photos
-      query = `
-        *[_type == $type] | order(coalesce(order, 0) asc, coalesce(date, _createdAt) desc) [$offset...$limit] {
-          _id,
-          image,
-          alt,
-          caption,
-          categories[]->{
-            _id,
-            title,
-            slug
-          },
-          date,
-          location,
-          featured
-        }
-      `;
-    } else {
-      // Fetch photos by category
-      query = `
-        *[_type == $type && $categorySlug in categories[]->slug.current] | order(coalesce(order, 0) asc, coalesce(date, _createdAt) desc) [$offset...$limit] {
-          _id,
-          image,
-          alt,
-          caption,
-          categories[]->{
-            _id,
-            title,
-            slug
-          },
-          date,
-          location,
-          featured
-        }
-      `;
-    }
-
-    return await fetchSanity(query, {
-      type: contentTypes.PHOTO,
-      categorySlug,
-      offset,
-      limit,
-    });
-
-  } catch (error) {
-    console.error('Error fetching photos:', error);
-    throw error;
+export function updateProjectIndex(projects) {
+  const indexContainer = findProjectIndexContainer();
+  if (!indexContainer) {
+    return;
   }
+
+  projectIndexProjects = projects || [];
+  paintProjectIndex(indexContainer, projectIndexProjects, getProjectSelection());
 }
 
 /**
- * Fetch all categories from Sanity
+ * Fetch every project for the projects index
  *
- * @returns {Promise<Array>} Array of categories
+ * @param {object} options - fetchSanity options (cache, ttl, onUpdate, signal)
+ * @returns {Promise<Array>} Array of projects
  */
-async function fetchCategories() {
-  try {
-    const query = `
-      *[_type == $type] | order(title asc) {
-        _id,
-        title,
-        slug,
-        description
-      }
-    `;
-
-    return await fetchSanity(query, {
-      type: contentTypes.CATEGORY,
-    });
+export async function fetchAllProjects(options = {}) {
+  const { query, params } = projectListQuery();
+  return fetchSanity(query, params, options);
+}
 
-  } catch (error) {
-    console.error('Error fetching categories:', error);
-    return [];
-  }
+/**
+ * Find the projects index (filter chips, status and grid)
+ *
+ * @returns {HTMLElement|null} Projects index container
+ */
+export function findProjectIndexContainer() {
+  return document.getElementById('project-index');
 }
 
 /**
- * Create a gallery photo element
+ * Paint the projects index: filter chips with counts, the status line and the matching cards
+ * Technology counts cover the selected project type, and type counts the selected technology.
  *
- * @param {object} photo - Photo data from Sanity
- * @returns {HTMLElement} Photo element
+ * @param {HTMLElement} indexContainer - Projects index container
+ * @param {Array} projects - Every project
+ * @param {object} selection - Object with tech and type (null for no filter)
  */
-function createGalleryPhotoElement(photo) {
-  const photoDiv = document.createElement('div');
-  photoDiv.className = 'photo-item aspect-square bg-gray-800 rounded-lg overflow-hidden border border-gray-700 hover:border-brand-green transition-colors cursor-pointer';
-  photoDiv.dataset.photoId = photo._id;
+export function paintProjectIndex(indexContainer, projects, selection = { tech: null, type: null }) {
+  const { tech, type } = selection;
+  const matching = projects.filter(project => projectMatchesSelection(project, selection));
+
+  const typeFilters = indexContainer.querySelector('#project-type-filters');
+  if (typeFilters) {
+    const projectsWithTech = projects.filter(project => projectMatchesSelection(project, { tech, type: null }));
+    const typeCounts = countProjectTypes(projectsWithTech);
+
+    // Keep the active chip even if the schema doesn't list that type
+    if (type && !typeCounts.some(({ value }) => value === type)) {
+      typeCounts.push({ value: type, count: 0 });
+    }
 
-  // Get category slugs for filtering
-  const categorySlugs = photo.categories ? photo.categories.map(cat => cat.slug?.current || cat.slug).filter(Boolean) : [];
+    setContent(typeFilters, html`
+      ${createProjectFilterChip('type', null, 'All types', projectsWithTech.length, !type)}
+      ${typeCounts.map(({ value, count }) =>
+        createProjectFilterChip('type', value, projectConfig.typeLabels[value] || value, count, value === type))}
+    `);
+  }
 
-  // Add category data attributes
-  categorySlugs.forEach(slug => {
-    photoDiv.dataset.category = (photoDiv.dataset.category ? photoDiv.dataset.category + ' ' : '') + slug;
-  });
+  const techFilters = indexContainer.querySelector('#project-tech-filters');
+  if (techFilters) {
+    const projectsOfType = projects.filter(project => projectMatchesSelection(project, { tech: null, type }));
+    const techCounts = countTechTags(projectsOfType);
 
-  // Get responsive image URLs
-  const imageUrls = getResponsiveImageUrls(photo.image, {
-    width: 600,
-    height: 600,
-    fit: 'fill',
-  });
+    // Keep the active chip even if the chosen type has no projects using it
+    if (tech && !techCounts.some(({ key }) => key === tech.toLowerCase())) {
+      techCounts.push({ key: tech.toLowerCase(), tag: tech, count: 0 });
+    }
 
-  photoDiv.innerHTML = `
-    <div class="w-full h-full relative">
-      <img src="${imageUrls?.small || ''}"
-           alt="${escapeHtml(photo.alt)}"
-           class="w-full h-full object-cover"
-           loading="lazy"
-           data-lightbox-src="${imageUrls?.large || ''}"
-           data-lightbox-caption="${escapeHtml(photo.caption || photo.alt)}"
-           onerror="this.onerror=null; this.style.display='none'; this.nextElementSibling.style.display='flex';">
-      <div class="absolute inset-0 bg-gray-900 hidden items-center justify-center">
-        <span class="text-gray-400 text-sm">Photo</span>
-      </div>
-      <div class="absolute inset-0 bg-black bg-opacity-0 hover:bg-opacity-50 transition-opacity flex items-end">
-        <div class="p-4 w-full">
-          <p class="text-white text-sm opacity-0 hover:opacity-100 transition-opacity">${escapeHtml(photo.alt)}</p>
-        </div>
+    setContent(techFilters, html`
+      ${createProjectFilterChip('tech', null, 'All', projectsOfType.length, !tech)}
+      ${techCounts.map(({ key, tag, count }) =>
+        createProjectFilterChip('tech', tag, tag, count, key === tech?.toLowerCase()))}
+    `);
+  }
+
+  const status = indexContainer.querySelector('#project-status');
+  if (status) {
+    status.textContent = tech || type
+      ? `Showing ${matching.length} of ${projects.length} project${projects.length !== 1 ? 's' : ''}`
+      : `${projects.length} project${projects.length !== 1 ? 's' : ''}`;
+  }
+
+  const grid = indexContainer.querySelector('#project-grid');
+  if (!grid) {
+    return;
+  }
+
+  if (matching.length === 0 && projects.length > 0) {
+    setContent(grid, html`
+      <div class="col-span-full text-center py-8">
+        <p class="text-gray-400 mb-4">No projects match these filters.</p>
+        <a href="projects.html" class="text-brand-green hover:text-brand-neon transition-colors" data-project-filter="clear">Show all projects</a>
       </div>
-    </div>
-  `;
+    `);
+    return;
+  }
 
-  return photoDiv;
+  paintProjects(grid, matching);
 }
 
 /**
- * Initialize category filtering functionality
+ * Read the projects index filter from the URL
+ *
+ * @returns {object} Object with tech and type (null when not filtered)
  */
-function initCategoryFiltering() {
-  const categoryButtons = document.querySelectorAll('.category-filter');
-
-  categoryButtons.forEach(button => {
-    button.addEventListener('click', async (e) => {
-      e.preventDefault();
-
-      const category = button.dataset.category;
+export function getProjectSelection() {
+  return {
+    tech: getUrlParam('tech') || null,
+    type: getUrlParam('type') || null,
+  };
+}
 
-      // Update active button state
-      categoryButtons.forEach(btn => btn.classList.remove('active', 'bg-brand-green', 'text-black'));
-      button.classList.add('active', 'bg-brand-green', 'text-black');
+/**
+ * Check whether a project matches a projects index filter
+ * Technology tags are compared case-insensitively.
+ *
+ * @param {object} project - Project data from Sanity
+ * @param {object} selection - Object with tech and type
+ * @returns {boolean} True if the project should be shown
+ */
+export function projectMatchesSelection(project, { tech, type }) {
+  if (type && project.projectType !== type) {
+    return false;
+  }
 
-      // Update URL without page reload
-      updateUrlParam('category', category);
+  if (tech) {
+    const wanted = tech.toLowerCase();
+    return (project.techTags || []).some(tag => tag.toLowerCase() === wanted);
+  }
 
-      // Re-render gallery with new filter
-      await renderGallery();
+  return true;
+}
 
-      // Scroll to top of gallery
-      const photoGrid = document.getElementById('photo-grid');
-      if (photoGrid) {
-        photoGrid.scrollIntoView({ behavior: 'smooth', block: 'start' });
-      }
+/**
+ * Count the projects using each technology tag
+ * Tags differing only in case are counted together, under their first spelling.
+ *
+ * @param {Array} projects - Projects to count
+ * @returns {Array<object>} Objects with key, tag and count, most used first
+ */
+function countTechTags(projects) {
+  const counts = new Map();
+
+  projects.forEach(project => {
+    new Set((project.techTags || []).map(tag => tag.trim()).filter(Boolean)).forEach(tag => {
+      const key = tag.toLowerCase();
+      const entry = counts.get(key) || { key, tag, count: 0 };
+      entry.count++;
+      counts.set(key, entry);
     });
   });
+
+  return Array.from(counts.values())
+    .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
 }
 
 /**
- * Get URL parameter value
+ * Count the projects of each type, in the order the schema lists the types
+ * Every schema type is included, with a count of 0 if no project uses it yet.
  *
- * @param {string} param - Parameter name
- * @returns {string|null} Parameter value or null if not found
+ * @param {Array} projects - Projects to count
+ * @returns {Array<object>} Objects with value and count
  */
-export function getUrlParam(param) {
-  const urlParams = new URLSearchParams(window.location.search);
-  return urlParams.get(param);
+function countProjectTypes(projects) {
+  const counts = new Map();
+  projects.forEach(project => {
+    if (project.projectType) {
+      counts.set(project.projectType, (counts.get(project.projectType) || 0) + 1);
+    }
+  });
+
+  // Values the schema doesn't list (e.g. from an older schema) go last
+  const values = [...Object.keys(projectConfig.typeLabels), ...counts.keys()];
+  return Array.from(new Set(values))
+    .map(value => ({ value, count: counts.get(value) || 0 }));
 }
 
 /**
- * Update URL parameter without page reload
+ * Build a projects index filter chip
+ * Chips that would show no projects are disabled, unless they are the active filter.
  *
- * @param {string} param - Parameter name
- * @param {string} value - Parameter value
+ * @param {string} param - URL parameter the chip sets ('tech' or 'type')
+ * @param {string|null} value - Value to filter by (null for the "All" chip)
+ * @param {string} label - Chip label
+ * @param {number} count - Number of projects the chip would show
+ * @param {boolean} isActive - Whether the chip is selected
+ * @returns {SafeHtml} Chip markup
  */
-function updateUrlParam(param, value) {
-  const url = new URL(window.location);
-  if (value && value !== 'all') {
-    url.searchParams.set(param, value);
-  } else {
-    url.searchParams.delete(param);
+function createProjectFilterChip(param, value, label, count, isActive) {
+  const classes = isActive ? FILTER_ACTIVE_CLASSES : FILTER_INACTIVE_CLASSES;
+  const isEmpty = count === 0 && !isActive;
+  return html`
+    <button type="button"
+            class="${classes.join(' ')} px-4 py-2 rounded font-semibold transition-colors disabled:opacity-40 disabled:cursor-not-allowed"
+            data-project-filter="${param}"${isEmpty ? html` disabled` : ''}
+            data-value="${value || ''}"
+            aria-pressed="${String(isActive)}"
+            aria-label="${label}, ${count} project${count !== 1 ? 's' : ''}">
+      ${label}<span class="ml-2 text-sm opacity-70" aria-hidden="true">${count}</span>
+    </button>
+  `;
+}
+
+/**
+ * Initialize the projects index filter chips and card tags
+ */
+function initProjectFiltering() {
+  const indexContainer = findProjectIndexContainer();
+  if (!indexContainer || indexContainer.dataset.filtersBound) {
+    return;
   }
-  window.history.pushState({}, '', url);
+  indexContainer.dataset.filtersBound = 'true';
+
+  // Chips and the tags on cards are rebuilt on every paint, so listen on the container.
+  // Clicking the active chip clears that filter.
+  indexContainer.addEventListener('click', (e) => {
+    const chip = e.target.closest('[data-project-filter]');
+    const cardTag = e.target.closest('[data-tech-tag]');
+    if (!chip && !cardTag) {
+      return;
+    }
+
+    e.preventDefault();
+
+    const selection = getProjectSelection();
+    if (cardTag) {
+      applyProjectSelection({ ...selection, tech: cardTag.dataset.techTag });
+    } else if (chip.dataset.projectFilter === 'clear') {
+      applyProjectSelection({ tech: null, type: null });
+    } else {
+      const param = chip.dataset.projectFilter;
+      const value = chip.dataset.value || null;
+      applyProjectSelection({ ...selection, [param]: value === selection[param] ? null : value });
+    }
+  });
+
+  // Back/forward between shared filter URLs
+  window.addEventListener('popstate', () => {
+    paintProjectIndex(indexContainer, projectIndexProjects, getProjectSelection());
+  });
 }
 
 /**
- * Update load more button visibility
+ * Show a projects index filter and record it in the URL
  *
- * @param {number} currentCount - Current number of photos displayed
+ * @param {object} selection - Object with tech and type
  */
-function updateLoadMoreButton(currentCount) {
-  const loadMoreBtn = document.getElementById('load-more');
-  if (loadMoreBtn) {
-    // For now, hide the load more button since we're loading all photos
-    // In a real implementation, you'd check if there are more photos to load
-    loadMoreBtn.style.display = 'none';
+function applyProjectSelection({ tech, type }) {
+  const current = getProjectSelection();
+  if (current.tech === tech && current.type === type) {
+    return;
   }
+
+  updateUrlParams({ tech, type });
+  paintProjectIndex(findProjectIndexContainer(), projectIndexProjects, { tech, type });
 }
 
 /**
- * Show error message to user
- *
- * @param {string} message - Error message to display
+ * Render featured photos on index page
  */
-function showErrorMessage(message) {
-  // Create a simple error notification
-  const errorDiv = document.createElement('div');
-  errorDiv.className = 'fixed top-4 right-4 bg-red-600 text-white px-6 py-3 rounded-lg shadow-lg z-50';
-  errorDiv.innerHTML = `
-    <div class="flex items-center">
-      <span class="mr-2">⚠️</span>
-      <span>${escapeHtml(message)}</span>
-      <button class="ml-4 text-white hover:text-gray-200" onclick="this.parentElement.parentElement.remove()">×</button>
-    </div>
-  `;
+export async function renderPhotoTeaser() {
+  try {
+    // Find the photo teaser container
+    const photoContainer = findPhotoTeaserContainer();
+    if (!photoContainer) {
+      console.warn('Photo teaser container not found');
+      return;
+    }
 
-  document.body.appendChild(errorDiv);
+    // Keep pre-rendered photos on screen; otherwise add a loading state
+    const prerendered = takePrerenderedSignature(photoContainer);
+    if (!prerendered) {
+      setContent(photoContainer, html`<div class="col-span-2 text-center py-4"><p class="text-gray-400">Loading photos...</p></div>`);
+    }
 
-  // Auto-remove after 5 seconds
-  setTimeout(() => {
-    if (errorDiv.parentNode) {
-      errorDiv.remove();
+    const photos = await fetchFeaturedPhotos({
+      // Repaint if a background refresh returns newer data than the cache
+      onUpdate: freshPhotos => paintPhotoTeaser(photoContainer, freshPhotos),
+    });
+
+    if (prerendered !== getDataSignature(photos)) {
+      paintPhotoTeaser(photoContainer, photos);
     }
-  }, 5000);
+
+  } catch (error) {
+    console.error('Error rendering photo teaser:', error);
+    throw error;
+  }
 }
 
 /**
- * Escape HTML characters to prevent XSS
+ * Fetch the featured photos shown in the index page teaser
  *
- * @param {string} text - Text to escape
- * @returns {string} Escaped text
+ * @param {object} options - fetchSanity options (cache, ttl, onUpdate, signal)
+ * @returns {Promise<Array>} Array of photos
  */
-function escapeHtml(text) {
-  if (!text) return '';
-  const div = document.createElement('div');
-  div.textContent = text;
-  return div.innerHTML;
-}
\ No newline at end of file
+export async function fetchFeaturedPhotos(options = {}) {
+  const { query, params } = featuredPhotosQuery(4);
+  return fetchSanity(query, params, options);
+}
+
+/**
+ * Paint photo tiles into the index page teaser
+ *
+ * @param {HTMLElement} photoContainer - Teaser grid element
+ * @param {Array} photos - Photos from Sanity
+ */
+export function paintPhotoTeaser(photoContainer, photos) {
+  // Clear loading state
+  photoContainer.replaceChildren();
+
+  if (!photos || photos.length === 0) {
+    // Create placeholder photos if none found
+    for (let i = 0; i < 4; i++) {
+      photoContainer.appendChild(toElement(html`
+        <div class="aspect-square bg-gray-800 rounded-lg flex items-center justify-center">
+          <span class="text-gray-400 text-sm">Featured Photo</span>
+        </div>
+      `));
+    }
+    return;
+  }
+
+  // Render each photo
+  photos.forEach(photo => {
+    const photoElement = createPhotoTeaserElement(photo);
+    photoContainer.appendChild(photoElement);
+  });
+}
+
+/**
+ * Find the featured photo grid on the index page
+ *
+ * @returns {HTMLElement|null} Photo teaser container
+ */
+export function findPhotoTeaserContainer() {
+  return document.querySelector('.grid.grid-cols-2.gap-4');
+}
+
+/**
+ * Create a photo teaser element for index page
+ *
+ * @param {object} photo - Photo data from Sanity
+ * @returns {HTMLElement} Photo element
+ */
+export function createPhotoTeaserElement(photo) {
+  // Responsive picture with format fallbacks
+  const picture = renderPicture(photo.image, imageLayouts.photoTeaser, {
+    alt: photo.alt,
+    className: 'block w-full h-full',
+    imgClassName: 'w-full h-full object-cover transition duration-500 hover:scale-105',
+    fallback: true,
+  });
+
+  const photoDiv = toElement(html`
+    <div class="aspect-square bg-[color:var(--accent-backdrop,#1f2937)] rounded-lg overflow-hidden relative hover:ring-2 hover:ring-[color:var(--accent-ui,transparent)] transition-shadow" data-photo-id="${photo._id}">
+      ${isDraftDocument(photo) && DRAFT_BADGE}
+      ${picture}
+      <div class="w-full h-full items-center justify-center bg-gray-900 ${picture ? 'hidden' : 'flex'}">
+        <span class="text-gray-400 text-sm">Photo</span>
+      </div>
+    </div>
+  `);
+  applyAccent(photoDiv, getPhotoAccent(photo.image));
+
+  return photoDiv;
+}
+
+/**
+ * Render photo gallery with category filtering
+ *
+ * Starting a new render cancels any render still in progress, so the
+ * grid always reflects the most recently selected filter. Other errors are
+ * logged and rethrown for the caller to report.
+ */
+export async function renderGallery() {
+  // Cancel the superseded render before starting this one
+  galleryRenderController?.abort();
+  const controller = new AbortController();
+  galleryRenderController = controller;
+  const { signal } = controller;
+
+  try {
+    const photoGrid = document.getElementById('photo-grid');
+    if (!photoGrid) {
+      console.warn('Photo grid not found');
+      return;
+    }
+
+    // Only mount the tiles near the viewport (if enabled)
+    startVirtualGrid(photoGrid, createGalleryPhotoElement);
+
+    // Get current category selection, search and sort from URL
+    const selection = getGallerySelection();
+    const isFiltered = selection.categories.length > 0 ||
+      selection.sort !== galleryConfig.defaultSort ||
+      getSearchTerms(selection.search).length > 0;
+
+    // The build pre-renders the unfiltered, default-sorted first page; keep it on screen if that's what was asked for
+    const prerendered = takePrerenderedSignature(photoGrid);
+    if (!prerendered || isFiltered) {
+      resetVirtualGrid();
+      setContent(photoGrid, html`<div class="col-span-full text-center py-12"><p class="text-gray-400">Loading photos...</p></div>`);
+    }
+
+    // Repaint from a background refresh only if no newer render has started
+    // and no further pages have been appended since
+    const onUpdate = freshPhotos => {
+      if (galleryRenderController === controller && galleryPagination.loaded <= galleryConfig.initialLoadCount) {
+        paintGallery(photoGrid, { photos: freshPhotos, total: galleryPagination.total });
+      }
+    };
+
+    // Fetch the first page, the total and categories in parallel
+    // (a failed category fetch leaves the filter bar as it is)
+    const [photos, total, categoryFilters] = await Promise.all([
+      fetchPhotos(selection, 0, galleryConfig.initialLoadCount, { onUpdate, signal }),
+      fetchPhotoCount(selection, { signal }),
+      fetchCategories().catch(() => null),
+    ]);
+
+    // A newer render took over while we were waiting
+    if (signal.aborted) {
+      return;
+    }
+
+    // Store categories for filtering
+    window.galleryCategories = categoryFilters?.categories || [];
+
+    if (categoryFilters) {
+      renderCategoryFilters(categoryFilters, selection);
+    }
+
+    galleryPagination.selection = selection;
+
+    const page = { photos, total };
+    if (prerendered !== getDataSignature(page) || isFiltered) {
+      paintGallery(photoGrid, page);
+    } else {
+      // Pre-rendered markup is current; just pick up where it left off
+      galleryPagination.photos = photos;
+      setVirtualPhotos(photos);
+      setGalleryProgress(photos.length, total);
+    }
+
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      return;
+    }
+
+    console.error('Error rendering gallery:', error);
+    throw error;
+  }
+}
+
+/**
+ * Paint the first page of photo tiles into the gallery grid
+ *
+ * @param {HTMLElement} photoGrid - Gallery grid element
+ * @param {object} page - First page of results
+ * @param {Array} page.photos - Photos from Sanity
+ * @param {number} page.total - Number of photos matching the current filter
+ */
+export function paintGallery(photoGrid, { photos, total }) {
+  galleryPagination.photos = photos || [];
+
+  // Clear loading state
+  resetVirtualGrid();
+  photoGrid.replaceChildren();
+
+  if (!photos || photos.length === 0) {
+    if (getSearchTerms(galleryPagination.selection.search).length > 0) {
+      paintNoSearchResults(photoGrid, galleryPagination.selection);
+    } else {
+      setContent(photoGrid, html`<div class="col-span-full text-center py-12"><p class="text-gray-400">No photos found for this category.</p></div>`);
+    }
+    setGalleryProgress(0, 0);
+    return;
+  }
+
+  // Render photos
+  if (isVirtualGridActive()) {
+    setVirtualPhotos(galleryPagination.photos);
+  } else {
+    photos.forEach(photo => {
+      const photoElement = createGalleryPhotoElement(photo);
+      photoGrid.appendChild(photoElement);
+    });
+  }
+
+  setGalleryProgress(photos.length, total);
+}
+
+/**
+ * Append the next page of photos to the gallery grid
+ * Calls made while a page is loading share its result.
+ *
+ * @returns {Promise<Array>} Photos added (empty if everything is already loaded)
+ */
+export function loadMorePhotos() {
+  if (!pendingPage) {
+    pendingPage = appendNextPage().finally(() => {
+      pendingPage = null;
+    });
+  }
+  return pendingPage;
+}
+
+/**
+ * Fetch and append the page after the photos already loaded
+ *
+ * @returns {Promise<Array>} Photos added
+ */
+async function appendNextPage() {
+  const photoGrid = document.getElementById('photo-grid');
+  const { selection, loaded, total } = galleryPagination;
+
+  if (!photoGrid || loaded >= total) {
+    return [];
+  }
+
+  // A category change aborts the current render, and this page with it
+  const signal = galleryRenderController?.signal;
+
+  try {
+    const photos = await fetchPhotos(selection, loaded, galleryConfig.loadMoreCount, { signal });
+
+    if (signal?.aborted || galleryPagination.selection !== selection) {
+      return [];
+    }
+
+    // Content published between pages can shift the window; skip photos already shown
+    const shownIds = new Set(galleryPagination.photos.map(photo => photo._id));
+    const newPhotos = photos.filter(photo => !shownIds.has(photo._id));
+
+    galleryPagination.photos = [...galleryPagination.photos, ...newPhotos];
+
+    if (isVirtualGridActive()) {
+      setVirtualPhotos(galleryPagination.photos);
+    } else {
+      newPhotos.forEach(photo => {
+        photoGrid.appendChild(createGalleryPhotoElement(photo));
+      });
+    }
+
+    // A short page means we've reached the end, whatever the count said
+    const loadedNow = loaded + photos.length;
+    setGalleryProgress(loadedNow, photos.length < galleryConfig.loadMoreCount ? loadedNow : total);
+
+    return newPhotos;
+
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      return [];
+    }
+    throw error;
+  }
+}
+
+/**
+ * Fetch photos from Sanity with optional category filtering
+ *
+ * @param {string|object} selection - Category slug ('all' for no filter) or { categories, match, sort, search } selection
+ * @param {number} offset - Number of photos to skip (for pagination)
+ * @param {number} limit - Maximum number of photos to return
+ * @param {object} options - fetchSanity options (cache, ttl, onUpdate, signal)
+ * @returns {Promise<Array>} Array of photos
+ */
+export async function fetchPhotos(selection = 'all', offset = 0, limit = galleryConfig.initialLoadCount, options = {}) {
+  try {
+    const { categories, match, sort, search } = normalizeSelection(selection);
+    const { query, params } = photoListQuery({ category: categories, match, sort, search, offset, limit });
+    return await fetchSanity(query, params, options);
+
+  } catch (error) {
+    if (error.name !== 'AbortError') {
+      console.error('Error fetching photos:', error);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Count the photos matching a category filter
+ *
+ * @param {string|object} selection - Category slug ('all' for no filter) or { categories, match, search } selection
+ * @param {object} options - fetchSanity options (cache, ttl, onUpdate, signal)
+ * @returns {Promise<number>} Number of photos
+ */
+export async function fetchPhotoCount(selection = 'all', options = {}) {
+  const { categories, match, search } = normalizeSelection(selection);
+  const { query, params } = photoCountQuery({ category: categories, match, search });
+  return fetchSanity(query, params, options);
+}
+
+/**
+ * Read the category selection from the URL
+ * e.g. ?category=insects,plants&match=all
+ *
+ * @returns {object} Object with categories (slugs; empty for all photos) and match ('any' or 'all')
+ */
+export function getCategorySelection() {
+  const categories = (getUrlParam('category') || '')
+    .split(',')
+    .map(slug => slug.trim())
+    .filter(slug => slug && slug !== 'all');
+
+  return {
+    categories: [...new Set(categories)],
+    match: getUrlParam('match') === 'all' ? 'all' : 'any',
+  };
+}
+
+/**
+ * Read the gallery sort from the URL
+ * e.g. ?sort=dateAsc
+ *
+ * @returns {string} Key of photoSorts
+ */
+export function getPhotoSort() {
+  const sort = getUrlParam('sort');
+  return photoSorts[sort] ? sort : galleryConfig.defaultSort;
+}
+
+/**
+ * Read everything that decides which photos the gallery shows, and in what order
+ * e.g. ?category=insects&q=macro&sort=dateDesc
+ *
+ * @returns {object} Object with categories, match, sort and search
+ */
+export function getGallerySelection() {
+  return { ...getCategorySelection(), sort: getPhotoSort(), search: getUrlParam('q') || '' };
+}
+
+/**
+ * Check whether a photo belongs in the gallery for a selection
+ * Mirrors the GROQ filters: categories (any/all) and prefix search.
+ *
+ * @param {object} photo - Photo data from Sanity
+ * @param {object} selection - Object with categories, match and (optionally) search
+ * @returns {boolean} True if the photo matches
+ */
+export function photoMatchesSelection(photo, { categories, match, search = '' }) {
+  const terms = getSearchTerms(search);
+  if (terms.length > 0) {
+    const searchable = getSearchableText(photo).map(text => text.toLowerCase());
+    const found = terms.every(term => searchable.some(text => getSearchTerms(text).some(word => word.startsWith(term.toLowerCase()))));
+    if (!found) {
+      return false;
+    }
+  }
+
+  if (categories.length === 0) {
+    return true;
+  }
+
+  const photoSlugs = (photo.categories || []).map(cat => cat.slug?.current || cat.slug);
+  return match === 'all'
+    ? categories.every(slug => photoSlugs.includes(slug))
+    : categories.some(slug => photoSlugs.includes(slug));
+}
+
+/**
+ * Fields the gallery search looks in
+ *
+ * @param {object} photo - Photo data from Sanity
+ * @returns {Array<string>} Alt text, caption, location and category titles
+ */
+function getSearchableText(photo) {
+  return [
+    photo.alt,
+    photo.caption,
+    photo.location,
+    ...(photo.categories || []).map(cat => cat.title),
+  ].filter(Boolean);
+}
+
+/**
+ * Turn a category slug or selection into a selection object
+ *
+ * @param {string|object} selection - Category slug ('all' for no filter) or selection
+ * @returns {object} Object with categories, match, sort and search
+ */
+function normalizeSelection(selection) {
+  if (typeof selection === 'string') {
+    return { categories: selection === 'all' ? [] : [selection], match: 'any', sort: galleryConfig.defaultSort, search: '' };
+  }
+  return {
+    categories: selection?.categories || [],
+    match: selection?.match || 'any',
+    sort: selection?.sort || galleryConfig.defaultSort,
+    search: selection?.search || '',
+  };
+}
+
+/**
+ * Fetch the categories that have photos, with photo counts
+ *
+ * @param {object} options - fetchSanity options (cache, ttl, onUpdate, signal)
+ * @returns {Promise<object>} Object with total (all photos) and categories (in display order)
+ */
+export async function fetchCategories(options = {}) {
+  try {
+    const { query, params } = categoryFiltersQuery();
+    return await fetchSanity(query, params, options);
+
+  } catch (error) {
+    console.error('Error fetching categories:', error);
+    throw error;
+  }
+}
+
+/**
+ * Update the category filter bar
+ * The buttons are only rebuilt when the categories or counts change, so
+ * keyboard focus stays on the button that was just pressed.
+ *
+ * @param {object} categoryFilters - Result of fetchCategories
+ * @param {object} selection - Category selection from the URL
+ */
+function renderCategoryFilters(categoryFilters, selection) {
+  const filterBar = document.getElementById('category-filters');
+  if (!filterBar) {
+    return;
+  }
+
+  const signature = getDataSignature(categoryFilters);
+  const current = takePrerenderedSignature(filterBar) || filterBar.dataset.signature;
+
+  if (current !== signature) {
+    paintCategoryFilters(filterBar, categoryFilters, selection);
+  } else {
+    setActiveCategoryFilters(selection);
+  }
+  filterBar.dataset.signature = signature;
+}
+
+/**
+ * Paint the category filter buttons
+ *
+ * @param {HTMLElement} filterBar - Filter bar element
+ * @param {object} categoryFilters - Object with total and categories
+ * @param {object} selection - Category selection to mark as active (defaults to all photos)
+ */
+export function paintCategoryFilters(filterBar, { total, categories }, selection = { categories: [], match: 'any' }) {
+  filterBar.replaceChildren();
+  filterBar.appendChild(createCategoryFilterButton('all', 'All', total));
+
+  (categories || []).forEach(category => {
+    const slug = category.slug?.current || category.slug;
+    if (slug) {
+      filterBar.appendChild(createCategoryFilterButton(slug, category.title || slug, category.photoCount));
+    }
+  });
+
+  setActiveCategoryFilters(selection);
+}
+
+/**
+ * Create a category filter button
+ *
+ * @param {string} slug - Category slug ('all' for no filter)
+ * @param {string} title - Button label
+ * @param {number} count - Number of photos in the category
+ * @returns {HTMLElement} Button element
+ */
+function createCategoryFilterButton(slug, title, count) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = `category-filter ${FILTER_INACTIVE_CLASSES.join(' ')} px-6 py-3 rounded font-semibold transition-colors`;
+  button.dataset.category = slug;
+  button.setAttribute('aria-pressed', 'false');
+  button.setAttribute('aria-label', `${title}, ${count} photo${count !== 1 ? 's' : ''}`);
+  button.textContent = title;
+
+  const countBadge = document.createElement('span');
+  countBadge.className = 'ml-2 text-sm opacity-70';
+  countBadge.setAttribute('aria-hidden', 'true');
+  countBadge.textContent = count;
+  button.appendChild(countBadge);
+
+  return button;
+}
+
+/**
+ * Mark the filter buttons for the selected categories (or "All") as active,
+ * and show the match any/all toggle when more than one category is selected
+ *
+ * @param {object} selection - Object with categories and match
+ */
+function setActiveCategoryFilters({ categories, match }) {
+  document.querySelectorAll('.category-filter').forEach(button => {
+    const slug = button.dataset.category;
+    const isActive = slug === 'all' ? categories.length === 0 : categories.includes(slug);
+    setFilterButtonState(button, isActive);
+  });
+
+  const matchToggle = document.getElementById('category-match');
+  if (matchToggle) {
+    matchToggle.classList.toggle('hidden', categories.length < 2);
+    matchToggle.querySelectorAll('[data-match]').forEach(button => {
+      setFilterButtonState(button, button.dataset.match === match);
+    });
+  }
+}
+
+/**
+ * Apply the active or inactive look to a filter button
+ *
+ * @param {HTMLElement} button - Filter or match toggle button
+ * @param {boolean} isActive - Whether the button is selected
+ */
+function setFilterButtonState(button, isActive) {
+  FILTER_ACTIVE_CLASSES.forEach(cls => button.classList.toggle(cls, isActive));
+  FILTER_INACTIVE_CLASSES.forEach(cls => button.classList.toggle(cls, !isActive));
+  button.setAttribute('aria-pressed', String(isActive));
+}
+
+/**
+ * Create a gallery photo element
+ *
+ * @param {object} photo - Photo data from Sanity
+ * @returns {HTMLElement} Photo element
+ */
+export function createGalleryPhotoElement(photo) {
+  // Square tiles crop to fit; the other layouts keep the photo's shape
+  const isSquare = getGalleryLayout() === 'grid';
+  const aspectRatio = isSquare ? null : getPhotoAspectRatio(photo.image).toFixed(4);
+
+  // Get category slugs for filtering
+  const categorySlugs = photo.categories ? photo.categories.map(cat => cat.slug?.current || cat.slug).filter(Boolean) : [];
+
+  // Responsive picture for the tile, plus full-size sources for the lightbox
+  const lightboxPicture = getPictureSources(photo.image, imageLayouts.lightbox);
+  const picture = renderPicture(photo.image, isSquare ? imageLayouts.galleryTile : imageLayouts.galleryTileNatural, {
+    alt: photo.alt,
+    className: 'block w-full h-full',
+    imgClassName: 'w-full h-full object-cover transition-opacity duration-500',
+    fallback: true,
+    imgAttributes: {
+      'data-lightbox-src': lightboxPicture?.src || '',
+      'data-lightbox-picture': lightboxPicture ? JSON.stringify(lightboxPicture) : '',
+      'data-lightbox-caption': photo.caption || photo.alt || '',
+    },
+  });
+
+  // While searching, highlight the search words and show the other fields they were found in
+  const searchTerms = getSearchTerms(galleryPagination.selection.search);
+  const matchedFields = searchTerms.length > 0
+    ? getSearchableText({ ...photo, alt: null })
+      .filter(text => text !== photo.alt && getHighlightPattern(searchTerms).test(text))
+    : [];
+
+  const photoDiv = toElement(html`
+    <div class="photo-item${isSquare && ' aspect-square'} bg-gray-800 rounded-lg overflow-hidden border border-gray-700 hover:border-[color:var(--accent-ui,#22c55e)] transition-colors cursor-pointer"
+         data-photo-id="${photo._id}"${categorySlugs.length > 0 && html` data-category="${categorySlugs.join(' ')}"`}${aspectRatio && html` data-aspect-ratio="${aspectRatio}" style="aspect-ratio: ${aspectRatio}"`}>
+      <div class="w-full h-full relative">
+        ${isDraftDocument(photo) && DRAFT_BADGE}
+        ${picture}
+        <div class="absolute inset-0 bg-gray-900 ${picture ? 'hidden' : 'flex'} items-center justify-center">
+          <span class="text-gray-400 text-sm">Photo</span>
+        </div>
+        <div class="absolute inset-0 bg-transparent hover:bg-[color:var(--accent-overlay,rgba(0,0,0,0.5))] transition-colors flex items-end">
+          <div class="p-4 w-full opacity-0 hover:opacity-100 transition-opacity">
+            <p class="inline-block rounded px-2 py-1 bg-[color:var(--accent,transparent)] text-[color:var(--accent-text,#fff)] text-sm">${highlightMatches(photo.alt, searchTerms)}</p>
+            ${matchedFields.map(text => html`<p class="mt-1 text-xs text-gray-200 line-clamp-2">${highlightMatches(text, searchTerms)}</p>`)}
+          </div>
+        </div>
+      </div>
+    </div>
+  `);
+  applyAccent(photoDiv, getPhotoAccent(photo.image));
+
+  return photoDiv;
+}
+
+/**
+ * Initialize category filtering functionality
+ */
+function initCategoryFiltering() {
+  const filterBar = document.getElementById('category-filters');
+  if (!filterBar) {
+    return;
+  }
+
+  // Reflect ?category= and ?match= before the categories arrive
+  setActiveCategoryFilters(getCategorySelection());
+
+  // Buttons are rebuilt from the CMS, so listen on the bar (once, even if re-initialized)
+  if (filterBar.dataset.filtersBound) {
+    return;
+  }
+  filterBar.dataset.filtersBound = 'true';
+
+  // Chips toggle in and out of the selection; "All" clears it.
+  // The page stays put so several chips can be combined in a row.
+  filterBar.addEventListener('click', (e) => {
+    const button = e.target.closest('.category-filter');
+    if (!button) {
+      return;
+    }
+
+    e.preventDefault();
+
+    const { categories, match } = getCategorySelection();
+    const slug = button.dataset.category;
+    const nextCategories = slug === 'all'
+      ? []
+      : categories.includes(slug)
+        ? categories.filter(selected => selected !== slug)
+        : [...categories, slug];
+
+    applyCategorySelection({ categories: nextCategories, match });
+  });
+
+  document.getElementById('category-match')?.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-match]');
+    if (!button) {
+      return;
+    }
+
+    e.preventDefault();
+    applyCategorySelection({ ...getCategorySelection(), match: button.dataset.match });
+  });
+
+  // Back/forward between shared filter URLs
+  window.addEventListener('popstate', () => {
+    if (getSelectionKey(getGallerySelection()) !== getSelectionKey(galleryPagination.selection)) {
+      syncGalleryControls();
+      refreshGallery();
+    }
+  });
+}
+
+/**
+ * Show the selection from the URL in the filter bar, sort dropdown and search box
+ */
+function syncGalleryControls() {
+  setActiveCategoryFilters(getCategorySelection());
+  syncSortControl();
+
+  const searchInput = document.getElementById('gallery-search');
+  if (searchInput) {
+    searchInput.value = getUrlParam('q') || '';
+  }
+}
+
+/**
+ * Initialize the gallery search box
+ * Searches run galleryConfig.searchDebounce ms after the last keystroke (or on Enter),
+ * and replace the URL's ?q= rather than adding a history entry per keystroke.
+ */
+function initSearchControl() {
+  const searchInput = document.getElementById('gallery-search');
+  if (!searchInput) {
+    return;
+  }
+
+  searchInput.value = getUrlParam('q') || '';
+
+  if (searchInput.dataset.searchBound) {
+    return;
+  }
+  searchInput.dataset.searchBound = 'true';
+
+  const runSearch = () => {
+    clearTimeout(searchTimer);
+    searchTimer = null;
+
+    const search = searchInput.value.trim();
+    if (search === (getUrlParam('q') || '')) {
+      return;
+    }
+
+    updateUrlParams({ q: search || null }, { replace: true });
+    refreshGallery();
+  };
+
+  searchInput.addEventListener('input', () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(runSearch, galleryConfig.searchDebounce);
+  });
+
+  searchInput.form?.addEventListener('submit', (e) => {
+    e.preventDefault();
+    runSearch();
+  });
+}
+
+/**
+ * Show the "no results" state for a search, suggesting categories to try
+ *
+ * @param {HTMLElement} photoGrid - Gallery grid element
+ * @param {object} selection - Selection that returned no photos
+ */
+function paintNoSearchResults(photoGrid, selection) {
+  const container = document.createElement('div');
+  container.className = 'col-span-full text-center py-12';
+
+  const message = document.createElement('p');
+  message.className = 'text-gray-300 text-lg mb-2';
+  message.textContent = selection.categories.length > 0
+    ? `No photos in the selected categories match "${selection.search.trim()}".`
+    : `No photos match "${selection.search.trim()}".`;
+  container.appendChild(message);
+
+  const suggestions = getCategorySuggestions(selection);
+  const hint = document.createElement('p');
+  hint.className = 'text-gray-400 mb-6';
+  hint.textContent = suggestions.length > 0
+    ? 'Check the spelling, or browse a category instead:'
+    : 'Check the spelling or try fewer words.';
+  container.appendChild(hint);
+
+  const actions = document.createElement('div');
+  actions.className = 'flex flex-wrap justify-center gap-3';
+
+  // Same search without the category filter
+  if (selection.categories.length > 0) {
+    actions.appendChild(createSuggestionButton('Search all categories', { category: null, match: null }));
+  }
+
+  // Browsing a category clears the search
+  suggestions.forEach(category => {
+    const slug = category.slug?.current || category.slug;
+    actions.appendChild(createSuggestionButton(category.title || slug, { category: slug, match: null, q: null }));
+  });
+
+  container.appendChild(actions);
+  photoGrid.appendChild(container);
+}
+
+/**
+ * Pick up to four categories to suggest after a search with no results
+ * Categories whose title starts like one of the search words come first,
+ * then the largest categories.
+ *
+ * @param {object} selection - Selection that returned no photos
+ * @returns {Array<object>} Categories from the filter bar data
+ */
+function getCategorySuggestions(selection) {
+  const terms = getSearchTerms(selection.search).map(term => term.toLowerCase());
+  const titleMatches = category => getSearchTerms(category.title)
+    .some(word => terms.some(term => word.toLowerCase().startsWith(term)));
+
+  return (window.galleryCategories || [])
+    .filter(category => !selection.categories.includes(category.slug?.current || category.slug))
+    .map(category => ({ category, score: titleMatches(category) ? 1 : 0 }))
+    .sort((a, b) => b.score - a.score || (b.category.photoCount || 0) - (a.category.photoCount || 0))
+    .slice(0, 4)
+    .map(({ category }) => category);
+}
+
+/**
+ * Create a button that changes the gallery URL parameters and re-renders
+ *
+ * @param {string} label - Button text
+ * @param {object} params - URL parameters to set (null removes one)
+ * @returns {HTMLElement} Button element
+ */
+function createSuggestionButton(label, params) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'bg-gray-800 hover:bg-gray-700 text-white px-4 py-2 rounded font-semibold transition-colors';
+  button.textContent = label;
+
+  button.addEventListener('click', () => {
+    updateUrlParams(params);
+    syncGalleryControls();
+    refreshGallery();
+  });
+
+  return button;
+}
+
+/**
+ * Initialize the gallery sort dropdown from photoSorts
+ */
+function initSortControl() {
+  const sortSelect = document.getElementById('gallery-sort');
+  if (!sortSelect) {
+    return;
+  }
+
+  sortSelect.replaceChildren();
+  Object.entries(photoSorts).forEach(([key, { title }]) => {
+    const option = document.createElement('option');
+    option.value = key;
+    option.textContent = title;
+    sortSelect.appendChild(option);
+  });
+  syncSortControl();
+
+  if (sortSelect.dataset.sortBound) {
+    return;
+  }
+  sortSelect.dataset.sortBound = 'true';
+
+  sortSelect.addEventListener('change', () => {
+    // The default sort is left out of the URL
+    updateUrlParams({ sort: sortSelect.value === galleryConfig.defaultSort ? null : sortSelect.value });
+    refreshGallery();
+  });
+}
+
+/**
+ * Show the sort from the URL in the dropdown
+ */
+function syncSortControl() {
+  const sortSelect = document.getElementById('gallery-sort');
+  if (sortSelect) {
+    sortSelect.value = getPhotoSort();
+  }
+}
+
+/**
+ * Switch the gallery to a new category selection
+ *
+ * @param {object} selection - Object with categories and match
+ * @returns {Promise<void>} Resolves when the gallery has re-rendered
+ */
+function applyCategorySelection(selection) {
+  // Update active button state
+  setActiveCategoryFilters(selection);
+
+  // Update URL without page reload (match=any is the default, so it's left out)
+  updateUrlParams({
+    category: selection.categories.join(','),
+    match: selection.match === 'all' ? 'all' : null,
+  });
+
+  // Re-render gallery with new filter
+  return refreshGallery();
+}
+
+/**
+ * Re-render the gallery after the visitor changed the selection
+ * Failures are reported here; initialization errors go to the page's init handler instead.
+ *
+ * @returns {Promise<void>} Resolves when the gallery has re-rendered (or failed to)
+ */
+async function refreshGallery() {
+  try {
+    await renderGallery();
+  } catch (error) {
+    showErrorMessage('Failed to load gallery photos', error);
+  }
+}
+
+/**
+ * Key identifying the photos a selection shows, and their order
+ *
+ * @param {object} selection - Object with categories, match, sort and search
+ * @returns {string} Selection key
+ */
+function getSelectionKey({ categories, match, sort, search }) {
+  const categoryKey = categories.length === 0
+    ? 'all'
+    : `${[...categories].sort().join(',')}|${categories.length > 1 ? match : 'any'}`;
+  return `${categoryKey}|${sort}|${getSearchTerms(search).join(' ').toLowerCase()}`;
+}
+
+/**
+ * Compute a short signature of query results
+ * The build stores it on pre-rendered containers so the client can tell
+ * whether the content changed since the page was generated.
+ *
+ * @param {*} data - Query results
+ * @returns {string} FNV-1a hash of the JSON serialisation
+ */
+export function getDataSignature(data) {
+  const json = JSON.stringify(data ?? null);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < json.length; i++) {
+    hash ^= json.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16);
+}
+
+/**
+ * Read and clear the pre-render marker on a container
+ * Cleared so that later renders (e.g. filter changes) behave normally.
+ *
+ * @param {HTMLElement} container - Container that may hold pre-rendered markup
+ * @returns {string|null} Data signature from the build, or null if not pre-rendered
+ */
+function takePrerenderedSignature(container) {
+  const signature = container.dataset.prerendered || null;
+  delete container.dataset.prerendered;
+  return signature;
+}
+
+/**
+ * Get URL parameter value
+ *
+ * @param {string} param - Parameter name
+ * @returns {string|null} Parameter value or null if not found
+ */
+export function getUrlParam(param) {
+  const urlParams = new URLSearchParams(window.location.search);
+  return urlParams.get(param);
+}
+
+/**
+ * Update URL parameters without page reload, as one history entry
+ * Empty values and 'all' remove the parameter.
+ *
+ * @param {object} values - Parameter names and values
+ * @param {object} options - Options
+ * @param {boolean} options.replace - Replace the current history entry instead of adding one
+ */
+function updateUrlParams(values, { replace = false } = {}) {
+  const url = new URL(window.location);
+
+  Object.entries(values).forEach(([param, value]) => {
+    if (value && value !== 'all') {
+      url.searchParams.set(param, value);
+    } else {
+      url.searchParams.delete(param);
+    }
+  });
+
+  // Keep comma-separated lists readable in shared links
+  url.search = url.search.replace(/%2C/gi, ',');
+
+  if (replace) {
+    window.history.replaceState(window.history.state, '', url);
+  } else {
+    window.history.pushState({}, '', url);
+  }
+}
+
+/**
+ * Record gallery pagination progress and update the status and load more button
+ * Dispatches a `gallery:progress` event on document with the new state.
+ *
+ * @param {number} loaded - Number of photos fetched so far
+ * @param {number} total - Number of photos matching the current filter
+ */
+function setGalleryProgress(loaded, total) {
+  galleryPagination.loaded = loaded;
+  galleryPagination.total = Math.max(total, loaded);
+  updateLoadMoreButton();
+
+  document.dispatchEvent(new CustomEvent('gallery:progress', { detail: getGalleryProgress() }));
+}
+
+/**
+ * Get the data for every photo loaded into the gallery, in grid order
+ * With the virtualized grid most of these have no tile in the DOM.
+ *
+ * @returns {Array<object>} Photos from Sanity
+ */
+export function getGalleryPhotos() {
+  return galleryPagination.photos;
+}
+
+/**
+ * Replace, add or remove one photo in the gallery data after a live update
+ * New photos go first, as live.js inserts their tiles.
+ *
+ * @param {string} photoId - Photo document ID
+ * @param {object|null} photo - New version of the photo, or null to remove it
+ * @returns {boolean} True if the virtualized grid re-rendered the tiles (nothing left to patch)
+ */
+export function updateGalleryPhoto(photoId, photo) {
+  const photos = galleryPagination.photos;
+  const index = photos.findIndex(item => item._id === photoId);
+
+  if (index >= 0 && photo) {
+    galleryPagination.photos = photos.map(item => (item._id === photoId ? photo : item));
+  } else if (index >= 0) {
+    galleryPagination.photos = photos.filter(item => item._id !== photoId);
+  } else if (photo) {
+    galleryPagination.photos = [photo, ...photos];
+  } else {
+    return isVirtualGridActive();
+  }
+
+  if (!isVirtualGridActive()) {
+    return false;
+  }
+
+  setVirtualPhotos(galleryPagination.photos);
+  return true;
+}
+
+/**
+ * Get the gallery pagination state
+ *
+ * @returns {object} Object with selection, loaded, total and hasMore
+ */
+export function getGalleryProgress() {
+  const { selection, loaded, total } = galleryPagination;
+  return { selection, loaded, total, hasMore: loaded < total };
+}
+
+/**
+ * Update the "Showing X of Y" status and load more button visibility
+ */
+function updateLoadMoreButton() {
+  const { loaded, total } = galleryPagination;
+
+  const status = document.getElementById('gallery-status');
+  if (status) {
+    status.textContent = total > 0 ? `Showing ${loaded} of ${total} photo${total !== 1 ? 's' : ''}` : '';
+  }
+
+  const loadMoreBtn = document.getElementById('load-more');
+  if (loadMoreBtn) {
+    loadMoreBtn.style.display = loaded < total ? '' : 'none';
+  }
+}
+
+/**
+ * Show error message to user
+ *
+ * @param {string} message - Error message to display
+ * @param {Error} error - Optional error; Sanity errors add a specific explanation
+ */
+function showErrorMessage(message, error = null) {
+  const detail = error ? describeSanityError(error) : null;
+
+  // Several renderers failing for the same reason should produce one notification
+  const key = `${message}|${detail || ''}`;
+  const existing = Array.from(document.querySelectorAll('[data-error-message]'))
+    .find(el => el.dataset.errorMessage === key);
+  if (existing) {
+    return;
+  }
+
+  // Create a simple error notification
+  const errorDiv = toElement(html`
+    <div class="fixed top-4 right-4 bg-red-600 text-white px-6 py-3 rounded-lg shadow-lg z-50 max-w-sm" role="alert">
+      <div class="flex items-start">
+        <span class="mr-2">⚠️</span>
+        <div>
+          <p>${message}</p>
+          ${detail && html`<p class="text-sm mt-1 text-red-100">${detail}</p>`}
+        </div>
+        <button type="button" class="ml-4 text-white hover:text-gray-200 flex-shrink-0" aria-label="Dismiss">×</button>
+      </div>
+    </div>
+  `);
+  errorDiv.dataset.errorMessage = key;
+  errorDiv.querySelector('button').addEventListener('click', () => errorDiv.remove());
+
+  document.body.appendChild(errorDiv);
+
+  // Auto-remove after 5 seconds (longer when there is an explanation to read)
+  setTimeout(() => {
+    if (errorDiv.parentNode) {
+      errorDiv.remove();
+    }
+  }, detail ? 10000 : 5000);
+}
+
+/**
+ * Wrap the words that start with a search term in <mark>
+ * Matches the GROQ search: case-insensitive, at the start of a word.
+ *
+ * @param {string} text - Text to highlight
+ * @param {Array<string>} terms - Search words from getSearchTerms()
+ * @returns {SafeHtml} Escaped markup
+ */
+function highlightMatches(text, terms) {
+  if (!text || terms.length === 0) {
+    return html`${text}`;
+  }
+
+  const parts = [];
+  let lastIndex = 0;
+  for (const match of text.matchAll(getHighlightPattern(terms))) {
+    parts.push(text.slice(lastIndex, match.index));
+    parts.push(html`<mark class="bg-brand-yellow text-black rounded px-0.5">${match[0]}</mark>`);
+    lastIndex = match.index + match[0].length;
+  }
+  parts.push(text.slice(lastIndex));
+
+  return html`${parts}`;
+}
+
+/**
+ * Build a pattern matching search terms at the start of a word
+ *
+ * @param {Array<string>} terms - Search words from getSearchTerms()
+ * @returns {RegExp} Global, case-insensitive pattern
+ */
+function getHighlightPattern(terms) {
+  // Longest first, so "street" wins over "st"
+  const alternatives = [...terms]
+    .sort((a, b) => b.length - a.length)
+    .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('|');
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives})`, 'giu');
+}
@@ -0,0 +1,206 @@
+/**
+ * Query Result Cache for katgrapher.studio
+ *
+ * This module stores GROQ query results so repeat visits can paint
+ * immediately while fresh data is fetched in the background.
+ *
+ * Features:
+ * - Cache keys derived from query, parameters, dataset and API version
+ * - IndexedDB persistence across page loads
+ * - In-memory fallback when IndexedDB is unavailable (private mode, Node)
+ * - Freshness (TTL) and hard expiry (maxAge) checks
+ */
+
+import { sanityConfig, cacheConfig } from './config.js';
+
+// In-memory store, used as a fallback and as a fast first-level lookup
+const memoryCache = new Map();
+
+// Lazily opened IndexedDB connection (resolves to null when unavailable)
+let dbPromise = null;
+
+/**
+ * Build a stable cache key for a query and its parameters
+ *
+ * @param {string} query - GROQ query string
+ * @param {object} params - Query parameters
+ * @returns {string} Cache key
+ */
+export function getCacheKey(query, params = {}) {
+  const normalizedQuery = query.replace(/\s+/g, ' ').trim();
+  const sortedParams = Object.keys(params)
+    .sort()
+    .reduce((acc, key) => {
+      acc[key] = params[key];
+      return acc;
+    }, {});
+
+  return [
+    sanityConfig.projectId,
+    sanityConfig.dataset,
+    sanityConfig.apiVersion,
+    normalizedQuery,
+    JSON.stringify(sortedParams),
+  ].join('|');
+}
+
+/**
+ * Read a cached entry
+ *
+ * @param {string} key - Cache key
+ * @param {number} ttl - Freshness window in milliseconds
+ * @returns {Promise<object|null>} Entry with data, timestamp and isFresh flag, or null
+ */
+export async function readCache(key, ttl = cacheConfig.ttl) {
+  try {
+    let entry = memoryCache.get(key);
+
+    if (!entry) {
+      const db = await openDatabase();
+      if (db) {
+        entry = await runRequest(db, 'readonly', store => store.get(key));
+        if (entry) {
+          memoryCache.set(key, entry);
+        }
+      }
+    }
+
+    if (!entry) {
+      return null;
+    }
+
+    const age = Date.now() - entry.timestamp;
+
+    // Discard entries that are too old to be useful even as stale data
+    if (age > cacheConfig.maxAge) {
+      await deleteCacheEntry(key);
+      return null;
+    }
+
+    return {
+      data: entry.data,
+      timestamp: entry.timestamp,
+      isFresh: age <= ttl,
+    };
+
+  } catch (error) {
+    console.warn('[Sanity cache] Read failed:', error);
+    return null;
+  }
+}
+
+/**
+ * Store a query result in the cache
+ *
+ * @param {string} key - Cache key
+ * @param {*} data - Query result to store
+ */
+export async function writeCache(key, data) {
+  const entry = { key, data, timestamp: Date.now() };
+  memoryCache.set(key, entry);
+
+  try {
+    const db = await openDatabase();
+    if (db) {
+      await runRequest(db, 'readwrite', store => store.put(entry));
+    }
+  } catch (error) {
+    console.warn('[Sanity cache] Write failed:', error);
+  }
+}
+
+/**
+ * Remove a single entry from the cache
+ *
+ * @param {string} key - Cache key
+ */
+export async function deleteCacheEntry(key) {
+  memoryCache.delete(key);
+
+  try {
+    const db = await openDatabase();
+    if (db) {
+      await runRequest(db, 'readwrite', store => store.delete(key));
+    }
+  } catch (error) {
+    console.warn('[Sanity cache] Delete failed:', error);
+  }
+}
+
+/**
+ * Remove every cached query result
+ */
+export async function clearCache() {
+  memoryCache.clear();
+
+  try {
+    const db = await openDatabase();
+    if (db) {
+      await runRequest(db, 'readwrite', store => store.clear());
+    }
+  } catch (error) {
+    console.warn('[Sanity cache] Clear failed:', error);
+  }
+}
+
+/**
+ * Open (or create) the IndexedDB database
+ *
+ * @returns {Promise<IDBDatabase|null>} Database connection or null if unavailable
+ */
+function openDatabase() {
+  if (dbPromise) {
+    return dbPromise;
+  }
+
+  dbPromise = new Promise(resolve => {
+    if (typeof indexedDB === 'undefined') {
+      resolve(null);
+      return;
+    }
+
+    try {
+      const request = indexedDB.open(cacheConfig.dbName, 1);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(cacheConfig.storeName)) {
+          db.createObjectStore(cacheConfig.storeName, { keyPath: 'key' });
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+
+      request.onerror = () => {
+        console.warn('[Sanity cache] IndexedDB unavailable, using memory cache:', request.error);
+        resolve(null);
+      };
+
+      request.onblocked = () => resolve(null);
+
+    } catch (error) {
+      console.warn('[Sanity cache] IndexedDB unavailable, using memory cache:', error);
+      resolve(null);
+    }
+  });
+
+  return dbPromise;
+}
+
+/**
+ * Run a single request against the cache object store
+ *
+ * @param {IDBDatabase} db - Database connection
+ * @param {string} mode - Transaction mode ('readonly' or 'readwrite')
+ * @param {Function} operation - Receives the object store and returns an IDBRequest
+ * @returns {Promise<*>} Request result
+ */
+function runRequest(db, mode, operation) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(cacheConfig.storeName, mode);
+    const request = operation(transaction.objectStore(cacheConfig.storeName));
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
@@ -6,32 +6,189 @@
  *
  * Features:
  * - GROQ query execution with parameter support
- * - Image URL builder with transformation options
- * - Error handling and retry logic
+ * - Stale-while-revalidate result caching (IndexedDB with memory fallback)
+ * - Retries with exponential backoff, jitter and Retry-After support
+ * - Circuit breaker that pauses requests after repeated failures
+ * - Coalescing of identical concurrent queries and AbortSignal support
+ * - Draft preview queries (previewDrafts perspective) with a runtime token
+ * - Configurable API and CDN hosts (e.g. the local mock in tools/mock-sanity.mjs)
+ * - Typed errors (see sanity-errors.js) with status, query, origin and retryable fields
+ * - Image URL builder with transformation options, honouring editor crop and hotspot
  * - No external dependencies
  */
 
-import { sanityConfig, imageDefaults } from './config.js';
+import { sanityConfig, imageDefaults, cacheConfig, retryConfig, previewConfig } from './config.js';
+import { getCacheKey, readCache, writeCache } from './sanity-cache.js';
+import { getPreviewState } from './preview.js';
+import {
+  SanityError,
+  SanityHttpError,
+  SanityQueryError,
+  SanityTimeoutError,
+  SanityNetworkError,
+  SanityCorsError,
+  SanityCircuitOpenError,
+} from './sanity-errors.js';
+
+// Requests currently on the wire, keyed like the cache so identical queries share one fetch
+const inFlightRequests = new Map();
 
 /**
  * Execute a GROQ query against Sanity API
  *
+ * Results are cached by query + params. A cached result is returned
+ * immediately; when it is older than the TTL it is refreshed in the
+ * background and `options.onUpdate` is called if the data changed.
+ * Preview (draft) queries are never cached.
+ *
  * @param {string} query - GROQ query string
  * @param {object} params - Query parameters (optional)
  * @param {object} options - Additional options (optional)
+ * @param {boolean} options.cache - Set to false to bypass the cache
+ * @param {number} options.ttl - Freshness window in milliseconds (defaults to cacheConfig.ttl)
+ * @param {Function} options.onUpdate - Called with fresh data after a background refresh
+ * @param {AbortSignal} options.signal - Rejects with an AbortError when aborted
  * @returns {Promise<Array|object>} Query results
  */
 export async function fetchSanity(query, params = {}, options = {}) {
+  const { signal } = options;
+  throwIfAborted(signal);
+
+  const useCache = cacheConfig.enabled && options.cache !== false && !getPreviewState().active;
+
+  if (!useCache) {
+    return requestShared(query, params, signal);
+  }
+
+  const cacheKey = getCacheKey(query, params);
+  const ttl = options.ttl ?? cacheConfig.ttl;
+  const cached = await readCache(cacheKey, ttl);
+  throwIfAborted(signal);
+
+  if (cached) {
+    if (!cached.isFresh) {
+      revalidate(query, params, cacheKey, cached.data, options.onUpdate);
+    }
+    return cached.data;
+  }
+
+  const result = await requestShared(query, params, signal);
+  await writeCache(cacheKey, result);
+  return result;
+}
+
+/**
+ * Get the host GROQ queries are sent to
+ *
+ * @returns {string} sanityConfig.apiHost, or the project's Sanity API host
+ */
+export function getApiHost() {
+  const { projectId, apiHost } = sanityConfig;
+  return (apiHost || `https://${projectId}.api.sanity.io`).replace(/\/+$/, '');
+}
+
+/**
+ * Execute a query, sharing the network request with identical queries
+ * that are already in flight
+ *
+ * The underlying request is only aborted once every caller sharing it
+ * has aborted; a single caller aborting just rejects its own promise.
+ *
+ * @param {string} query - GROQ query string
+ * @param {object} params - Query parameters
+ * @param {AbortSignal} signal - Optional caller signal
+ * @returns {Promise<Array|object>} Query results
+ */
+function requestShared(query, params, signal) {
+  const key = getCacheKey(query, params);
+  let entry = inFlightRequests.get(key);
+
+  if (!entry) {
+    const controller = new AbortController();
+    entry = { controller, subscribers: 0 };
+    entry.promise = requestSanity(query, params, controller.signal).finally(() => {
+      if (inFlightRequests.get(key) === entry) {
+        inFlightRequests.delete(key);
+      }
+    });
+    inFlightRequests.set(key, entry);
+  }
+
+  const sharedEntry = entry;
+  sharedEntry.subscribers++;
+
+  if (!signal) {
+    return sharedEntry.promise;
+  }
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      sharedEntry.subscribers--;
+      if (sharedEntry.subscribers === 0) {
+        sharedEntry.controller.abort();
+        if (inFlightRequests.get(key) === sharedEntry) {
+          inFlightRequests.delete(key);
+        }
+      }
+      reject(createAbortError());
+    };
+
+    signal.addEventListener('abort', onAbort, { once: true });
+
+    sharedEntry.promise.then(
+      result => {
+        signal.removeEventListener('abort', onAbort);
+        resolve(result);
+      },
+      error => {
+        signal.removeEventListener('abort', onAbort);
+        reject(error);
+      },
+    );
+  });
+}
+
+/**
+ * Refresh a stale cache entry in the background
+ *
+ * @param {string} query - GROQ query string
+ * @param {object} params - Query parameters
+ * @param {string} cacheKey - Cache key for the query
+ * @param {*} staleData - Data that was served from the cache
+ * @param {Function} onUpdate - Optional callback for changed data
+ */
+async function revalidate(query, params, cacheKey, staleData, onUpdate) {
+  try {
+    const result = await requestShared(query, params);
+    await writeCache(cacheKey, result);
+
+    if (typeof onUpdate === 'function' && JSON.stringify(result) !== JSON.stringify(staleData)) {
+      onUpdate(result);
+    }
+  } catch (error) {
+    console.warn('[Sanity] Background refresh failed, keeping cached data:', error);
+  }
+}
+
+/**
+ * Execute a GROQ query against the Sanity HTTP API (no caching)
+ *
+ * @param {string} query - GROQ query string
+ * @param {object} params - Query parameters
+ * @param {AbortSignal} signal - Optional signal that cancels the request and any pending retry
+ * @returns {Promise<Array|object>} Query results
+ */
+async function requestSanity(query, params = {}, signal) {
   try {
     const { projectId, dataset, apiVersion } = sanityConfig;
 
     // Validate required configuration
     if (!projectId || !dataset || !apiVersion) {
-      throw new Error('Missing Sanity configuration. Please check scripts/config.js');
+      throw new SanityError('Missing Sanity configuration. Please check scripts/config.js', { query });
     }
 
     // Build request URL
-    const baseUrl = `https://${projectId}.api.sanity.io/${apiVersion}/data/query/${dataset}`;
+    const baseUrl = `${getApiHost()}/${apiVersion}/data/query/${dataset}`;
     const url = new URL(baseUrl);
 
     // Runtime origin (helps diagnose CORS issues)
@@ -53,9 +210,15 @@ export async function fetchSanity(query, params = {}, options = {}) {
     // Add query and parameters
     url.searchParams.set('query', query);
 
-    // Add parameters as JSON string if provided
-    if (Object.keys(params).length > 0) {
-      url.searchParams.set('params', JSON.stringify(params));
+    // Add parameters as $name=<JSON value>, the form the query API expects
+    Object.entries(params).forEach(([name, value]) => {
+      url.searchParams.set(`$${name}`, JSON.stringify(value));
+    });
+
+    // Query drafts layered over published content in preview mode
+    const preview = getPreviewState();
+    if (preview.active) {
+      url.searchParams.set('perspective', previewConfig.perspective);
     }
 
     // Prepare fetch options
@@ -67,67 +230,55 @@ export async function fetchSanity(query, params = {}, options = {}) {
       },
     };
 
-    // Add authorization header if token is provided
-    if (sanityConfig.token) {
-      fetchOptions.headers.Authorization = `Bearer ${sanityConfig.token}`;
+    // Add authorization header if token is provided (the runtime preview token takes precedence)
+    const token = preview.active ? preview.token : sanityConfig.token;
+    if (token) {
+      fetchOptions.headers.Authorization = `Bearer ${token}`;
     }
 
-    // Execute request with timeout
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 30000); // 30 second timeout
+    // Refuse early while the circuit breaker is open (or its trial request is in flight)
+    const isTrial = assertCircuitClosed({ query, origin });
 
-    try {
-      const response = await fetch(url.toString(), {
-        ...fetchOptions,
-        signal: controller.signal,
-      });
-
-      clearTimeout(timeoutId);
+    // Execute request, retrying transient failures with backoff
+    let attempt = 0;
 
-      // Handle HTTP errors
-      if (!response.ok) {
-        const errorText = await response.text();
-
-        // Log details to help diagnose CORS/auth issues
-        console.error('[Sanity] Fetch error', {
-          status: response.status,
-          origin,
-          requestUrl: url.toString(),
-          projectId,
-          dataset,
-          apiVersion,
-          body: errorText?.slice?.(0, 500),
-        });
-
-        const corsHint =
-          (response.status === 401 || response.status === 403)
-            ? ` Possible CORS or auth issue for origin ${origin}. Verify this origin is allowed in project ${projectId} (CORS > Add origin) and enable "Allow credentials" when using authenticated requests.`
-            : '';
-
-        throw new Error(`Sanity API error (${response.status}): ${errorText}${corsHint}`);
-      }
-
-      // Parse response
-      const data = await response.json();
-
-      // Handle Sanity-specific errors
-      if (data.error) {
-        throw new Error(`Sanity query error: ${data.error.description || data.error.message}`);
+    try {
+      while (true) {
+        try {
+          const result = await attemptRequest(url, fetchOptions, { query, origin }, signal);
+          recordSuccess();
+          return result;
+
+        } catch (attemptError) {
+          const delay = getRetryDelay(attemptError, attempt);
+
+          if (delay === null) {
+            if (attemptError.retryable) {
+              recordFailure();
+            } else if (isTrial && attemptError.name !== 'AbortError') {
+              // Any answer (even a 4xx) shows the API is reachable again
+              recordSuccess();
+            }
+            throw classifyPersistentFailure(attemptError, url);
+          }
+
+          attempt++;
+          console.warn(`[Sanity] Request failed (${attemptError.message}), retrying in ${delay}ms (attempt ${attempt} of ${retryConfig.maxRetries})`);
+          await sleep(delay, signal);
+        }
       }
-
-      return data.result;
-
-    } catch (fetchError) {
-      clearTimeout(timeoutId);
-
-      if (fetchError.name === 'AbortError') {
-        throw new Error('Sanity API request timed out after 30 seconds');
+    } finally {
+      if (isTrial) {
+        endTrialRequest();
       }
-
-      throw fetchError;
     }
 
   } catch (error) {
+    // Cancellation is expected (e.g. a superseded gallery filter), not an error
+    if (error.name === 'AbortError') {
+      throw error;
+    }
+
     console.error('Error fetching from Sanity:', {
       error,
       origin: (typeof window !== 'undefined' && window.location) ? window.location.origin : 'server',
@@ -139,11 +290,375 @@ export async function fetchSanity(query, params = {}, options = {}) {
   }
 }
 
+/**
+ * Perform a single request attempt with a timeout
+ *
+ * Failures are thrown as typed errors whose `retryable` flag (and
+ * `retryAfter` for HTTP errors) tells the retry loop whether to try again.
+ *
+ * @param {URL} url - Fully built query URL
+ * @param {object} fetchOptions - Options passed to fetch
+ * @param {object} context - Query and runtime origin, attached to errors
+ * @param {AbortSignal} signal - Optional external cancellation signal
+ * @returns {Promise<Array|object>} Query results
+ */
+async function attemptRequest(url, fetchOptions, context, signal) {
+  const { projectId, dataset, apiVersion } = sanityConfig;
+
+  throwIfAborted(signal);
+
+  // One controller serves both the timeout and the external signal
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), retryConfig.timeout);
+  const onExternalAbort = () => controller.abort();
+  signal?.addEventListener('abort', onExternalAbort, { once: true });
+
+  try {
+    const response = await fetch(url.toString(), {
+      ...fetchOptions,
+      signal: controller.signal,
+    });
+
+    clearTimeout(timeoutId);
+
+    // Handle HTTP errors
+    if (!response.ok) {
+      const errorText = await response.text();
+
+      // Log details to help diagnose CORS/auth issues
+      console.error('[Sanity] Fetch error', {
+        status: response.status,
+        origin: context.origin,
+        requestUrl: url.toString(),
+        projectId,
+        dataset,
+        apiVersion,
+        body: errorText?.slice?.(0, 500),
+      });
+
+      // Rejected queries come back as 400s with a structured error body
+      const apiError = parseErrorBody(errorText);
+      if (response.status === 400 && apiError?.type?.startsWith('query')) {
+        throw createQueryError(apiError, response.status, context);
+      }
+
+      throw new SanityHttpError(`Sanity API responded with HTTP ${response.status}`, {
+        ...context,
+        status: response.status,
+        body: errorText,
+        retryable: retryConfig.retryStatuses.includes(response.status),
+        retryAfter: parseRetryAfter(response.headers?.get?.('Retry-After')),
+      });
+    }
+
+    // Parse response
+    const data = await response.json();
+
+    // Handle Sanity-specific errors
+    if (data.error) {
+      throw createQueryError(data.error, response.status, context);
+    }
+
+    return data.result;
+
+  } catch (fetchError) {
+    clearTimeout(timeoutId);
+
+    if (signal?.aborted) {
+      throw createAbortError();
+    }
+
+    if (fetchError.name === 'AbortError') {
+      throw new SanityTimeoutError(`Sanity API request timed out after ${Math.round(retryConfig.timeout / 1000)} seconds`, {
+        ...context,
+        timeout: retryConfig.timeout,
+      });
+    }
+
+    // fetch rejects with a TypeError when the network request itself fails
+    if (fetchError instanceof TypeError) {
+      throw new SanityNetworkError(`Network request to Sanity failed: ${fetchError.message}`, {
+        ...context,
+        cause: fetchError,
+      });
+    }
+
+    throw fetchError;
+
+  } finally {
+    signal?.removeEventListener('abort', onExternalAbort);
+  }
+}
+
+/**
+ * Parse an error response body
+ *
+ * @param {string} text - Response body
+ * @returns {object|null} The `error` object from a JSON body, or null
+ */
+function parseErrorBody(text) {
+  try {
+    return JSON.parse(text)?.error || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Build a SanityQueryError from an API error object
+ *
+ * @param {object} apiError - `error` from the response (description, type, start, end)
+ * @param {number} status - HTTP status
+ * @param {object} context - Query and runtime origin
+ * @returns {SanityQueryError} Query error
+ */
+function createQueryError(apiError, status, context) {
+  const description = apiError.description || apiError.message || 'Unknown query error';
+  return new SanityQueryError(`Sanity query error: ${description}`, {
+    ...context,
+    status,
+    description,
+    type: apiError.type || null,
+    start: apiError.start ?? null,
+    end: apiError.end ?? null,
+  });
+}
+
+/**
+ * Reclassify a network failure that survived every retry
+ *
+ * Browsers hide CORS rejections behind the same TypeError as a dropped
+ * connection. If a cross-origin request keeps failing while the browser
+ * says it is online, a missing CORS origin is by far the likeliest cause.
+ *
+ * @param {Error} error - Final error from the retry loop
+ * @param {URL} url - Request URL
+ * @returns {Error} The original error, or a SanityCorsError
+ */
+function classifyPersistentFailure(error, url) {
+  const isBrowser = typeof window !== 'undefined' && window.location && typeof navigator !== 'undefined';
+  if (!(error instanceof SanityNetworkError) || !isBrowser || navigator.onLine === false) {
+    return error;
+  }
+
+  if (url.origin === window.location.origin) {
+    return error;
+  }
+
+  return new SanityCorsError(`Request from ${error.origin} to ${url.origin} was blocked, most likely by CORS`, {
+    query: error.query,
+    origin: error.origin,
+    cause: error,
+  });
+}
+
+/**
+ * Work out how long to wait before retrying a failed attempt
+ *
+ * @param {Error} error - Error from the failed attempt
+ * @param {number} attempt - Number of retries already made
+ * @returns {number|null} Delay in milliseconds, or null if the error should not be retried
+ */
+function getRetryDelay(error, attempt) {
+  if (!error.retryable || attempt >= retryConfig.maxRetries) {
+    return null;
+  }
+
+  // Honour the server's Retry-After when it is within reason
+  if (error.retryAfter !== undefined && error.retryAfter !== null) {
+    return error.retryAfter <= retryConfig.maxRetryAfter ? error.retryAfter : null;
+  }
+
+  // Exponential backoff with full jitter
+  const ceiling = Math.min(retryConfig.maxDelay, retryConfig.baseDelay * 2 ** attempt);
+  return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Parse a Retry-After header value
+ *
+ * @param {string|null} value - Header value (seconds or HTTP date)
+ * @returns {number|null} Delay in milliseconds, or null if absent/invalid
+ */
+function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  if (!Number.isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+
+  return null;
+}
+
+/**
+ * Wait for the given number of milliseconds
+ *
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} signal - Optional signal that cuts the wait short
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timeoutId = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    function onAbort() {
+      clearTimeout(timeoutId);
+      reject(createAbortError());
+    }
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Create the error thrown when a caller aborts a request
+ *
+ * @returns {DOMException} AbortError
+ */
+function createAbortError() {
+  return new DOMException('Sanity request aborted', 'AbortError');
+}
+
+/**
+ * Throw an AbortError if the signal has already been aborted
+ *
+ * @param {AbortSignal} signal - Optional signal
+ */
+function throwIfAborted(signal) {
+  if (signal?.aborted) {
+    throw createAbortError();
+  }
+}
+
+/**
+ * Circuit breaker state
+ * - closed: requests flow normally
+ * - open: requests fail fast until resetTimeout has passed
+ * - half-open: a single trial request decides whether to close or re-open;
+ *   other requests fail fast until it settles
+ */
+const circuit = {
+  state: 'closed',
+  failures: 0,
+  openedAt: null,
+};
+
+/**
+ * Throw if the circuit breaker is open, moving to half-open once the
+ * reset timeout has elapsed
+ * The request that moves it to half-open is the trial request; it must
+ * call endTrialRequest() when it settles.
+ *
+ * @param {object} context - Query and runtime origin, attached to the error
+ * @returns {boolean} True if this request is the trial request
+ */
+function assertCircuitClosed(context) {
+  if (circuit.state === 'closed') {
+    return false;
+  }
+
+  if (circuit.state === 'half-open') {
+    throw new SanityCircuitOpenError('Sanity API temporarily unavailable after repeated failures. Waiting for a trial request.', {
+      ...context,
+      retryIn: null,
+    });
+  }
+
+  const elapsed = Date.now() - circuit.openedAt;
+  if (elapsed >= retryConfig.resetTimeout) {
+    circuit.state = 'half-open';
+    console.info('[Sanity] Circuit breaker half-open, sending trial request');
+    return true;
+  }
+
+  const retryIn = retryConfig.resetTimeout - elapsed;
+  throw new SanityCircuitOpenError(`Sanity API temporarily unavailable after repeated failures. Retrying in ${Math.ceil(retryIn / 1000)} seconds.`, {
+    ...context,
+    retryIn,
+  });
+}
+
+/**
+ * Record a successful request and close the circuit
+ */
+function recordSuccess() {
+  if (circuit.state !== 'closed') {
+    console.info('[Sanity] Circuit breaker closed');
+  }
+
+  circuit.state = 'closed';
+  circuit.failures = 0;
+  circuit.openedAt = null;
+}
+
+/**
+ * Record a failed request and open the circuit when the threshold is reached
+ */
+function recordFailure() {
+  circuit.failures++;
+
+  if (circuit.state === 'half-open' || circuit.failures >= retryConfig.failureThreshold) {
+    circuit.state = 'open';
+    circuit.openedAt = Date.now();
+    console.warn(`[Sanity] Circuit breaker open after ${circuit.failures} consecutive failures`);
+  }
+}
+
+/**
+ * Finish the circuit breaker's trial request
+ * A trial that settled without a verdict (it was cancelled) re-opens the
+ * circuit with the reset timeout already elapsed, so the next request tries again.
+ */
+function endTrialRequest() {
+  if (circuit.state === 'half-open') {
+    circuit.state = 'open';
+  }
+}
+
+/**
+ * Get the current circuit breaker state
+ *
+ * @returns {object} State ('closed', 'open' or 'half-open'), failure count and retry time
+ */
+export function getCircuitState() {
+  return {
+    state: circuit.state,
+    failures: circuit.failures,
+    openedAt: circuit.openedAt,
+    retryAt: circuit.openedAt ? circuit.openedAt + retryConfig.resetTimeout : null,
+  };
+}
+
+/**
+ * Manually close the circuit breaker (e.g. when the user asks to retry)
+ */
+export function resetCircuitBreaker() {
+  recordSuccess();
+}
+
 /**
  * Build a Sanity image URL with transformation options
  *
- * @param {string} imageRef - Sanity image reference (e.g., 'image-abc123-1200x800.jpg')
+ * Accepts a bare asset reference string, an asset reference/document
+ * ({ _ref } or { _id }), or a full image field value ({ asset, crop, hotspot }).
+ * For image objects the editor's crop is applied as `rect`, and when the
+ * output is cropped to a fixed width and height the hotspot becomes the
+ * focal point (`crop=focalpoint` with `fp-x`/`fp-y`).
+ *
+ * @param {string|object} imageRef - Sanity image reference (e.g., 'image-abc123-1200x800-jpg') or image object
  * @param {object} options - Image transformation options
+ * @param {boolean} options.hotspot - Set to false to ignore the editor's hotspot
  * @returns {string} Complete image URL
  */
 export function buildImageUrl(imageRef, options = {}) {
@@ -157,18 +672,26 @@ export function buildImageUrl(imageRef, options = {}) {
       throw new Error('Sanity project ID is required for image URLs');
     }
 
+    // Resolve strings, references and image objects to a reference plus crop/hotspot
+    const source = resolveImageSource(imageRef);
+    if (!source) {
+      throw new Error('Invalid image reference format');
+    }
+
     // Parse image reference to extract asset ID and dimensions
-    const imageData = parseImageRef(imageRef);
+    const imageData = parseImageRef(source.ref);
     if (!imageData) {
       throw new Error('Invalid image reference format');
     }
 
     // Build base URL
-    const { projectId, cdnUrl } = sanityConfig;
-    const baseUrl = `${cdnUrl}/images/${projectId}/${imageData.dataset}/${imageData.assetId}-${imageData.dimensions}`;
+    const url = new URL(getImageBaseUrl(imageData));
 
-    // Apply transformations
-    const url = new URL(baseUrl);
+    // Editor crop, applied before any resizing
+    const rect = getCropRect(source.crop, imageData);
+    if (rect) {
+      url.searchParams.set('rect', [rect.left, rect.top, rect.width, rect.height].join(','));
+    }
 
     // Size transformations
     if (options.width) {
@@ -184,6 +707,16 @@ export function buildImageUrl(imageRef, options = {}) {
       url.searchParams.set('crop', options.crop); // focalpoint, entropy, center, top, bottom, etc.
     }
 
+    // Editor hotspot as focal point when cropping to a fixed box
+    const croppingToBox = options.width && options.height && (options.fit || 'crop') === 'crop';
+    if (croppingToBox && source.hotspot && options.hotspot !== false && !options.crop) {
+      const focalPoint = getFocalPoint(source.hotspot, rect, imageData);
+      url.searchParams.set('fit', 'crop');
+      url.searchParams.set('crop', 'focalpoint');
+      url.searchParams.set('fp-x', focalPoint.x);
+      url.searchParams.set('fp-y', focalPoint.y);
+    }
+
     // Quality and format
     if (options.quality !== undefined) {
       url.searchParams.set('q', Math.max(1, Math.min(100, Math.round(options.quality))));
@@ -228,6 +761,95 @@ export function buildImageUrl(imageRef, options = {}) {
   }
 }
 
+/**
+ * Resolve any supported image input to an asset reference plus crop/hotspot
+ *
+ * @param {string|object} imageSource - Reference string, asset reference/document, or image object
+ * @returns {object|null} Object with ref, crop and hotspot, or null if unrecognised
+ */
+function resolveImageSource(imageSource) {
+  if (typeof imageSource === 'string') {
+    return { ref: imageSource, crop: null, hotspot: null };
+  }
+
+  if (!imageSource || typeof imageSource !== 'object') {
+    return null;
+  }
+
+  // Image field value: { asset: { _ref } | { _id, ... }, crop, hotspot }
+  // Otherwise the object is itself a reference ({ _ref }) or an expanded asset ({ _id })
+  const asset = imageSource.asset || imageSource;
+  const ref = asset._ref || asset._id;
+
+  if (typeof ref !== 'string') {
+    return null;
+  }
+
+  return {
+    ref,
+    crop: imageSource.crop || null,
+    hotspot: imageSource.hotspot || null,
+  };
+}
+
+/**
+ * Convert an editor crop (fractions trimmed from each side) to a pixel rect
+ *
+ * @param {object|null} crop - Crop with top, bottom, left and right fractions
+ * @param {object} imageData - Parsed image reference with width and height
+ * @returns {object|null} Rect with left, top, width and height, or null if uncropped
+ */
+function getCropRect(crop, imageData) {
+  if (!crop) {
+    return null;
+  }
+
+  const { top = 0, bottom = 0, left = 0, right = 0 } = crop;
+  if (top === 0 && bottom === 0 && left === 0 && right === 0) {
+    return null;
+  }
+
+  const rectLeft = Math.round(left * imageData.width);
+  const rectTop = Math.round(top * imageData.height);
+
+  return {
+    left: rectLeft,
+    top: rectTop,
+    width: Math.max(1, Math.round((1 - right) * imageData.width) - rectLeft),
+    height: Math.max(1, Math.round((1 - bottom) * imageData.height) - rectTop),
+  };
+}
+
+/**
+ * Express the editor hotspot as a focal point within the (cropped) image
+ *
+ * @param {object} hotspot - Hotspot with x and y as fractions of the full image
+ * @param {object|null} rect - Pixel crop rect, if any
+ * @param {object} imageData - Parsed image reference with width and height
+ * @returns {object} Focal point with x and y between 0 and 1
+ */
+function getFocalPoint(hotspot, rect, imageData) {
+  const area = rect || { left: 0, top: 0, width: imageData.width, height: imageData.height };
+  const clamp = value => Math.min(1, Math.max(0, value));
+  const round = value => Math.round(value * 1000) / 1000;
+
+  return {
+    x: round(clamp((hotspot.x * imageData.width - area.left) / area.width)),
+    y: round(clamp((hotspot.y * imageData.height - area.top) / area.height)),
+  };
+}
+
+/**
+ * Get the untransformed CDN URL for a parsed image reference
+ *
+ * @param {object} imageData - Parsed image reference
+ * @returns {string} CDN URL (e.g., https://cdn.sanity.io/images/<project>/<dataset>/<id>-<WxH>.<format>)
+ */
+function getImageBaseUrl(imageData) {
+  const { projectId, cdnUrl } = sanityConfig;
+  return `${cdnUrl}/images/${projectId}/${imageData.dataset}/${imageData.assetId}-${imageData.dimensions}.${imageData.format}`;
+}
+
 /**
  * Parse Sanity image reference to extract components
  * Expected format: image-[assetId]-[width]x[height]-[format]
@@ -268,22 +890,51 @@ function parseImageRef(imageRef) {
   }
 }
 
+/**
+ * Get the pixel dimensions of an image after the editor's crop
+ *
+ * @param {string|object} imageRef - Sanity image reference or image object
+ * @returns {object|null} Object with width and height, or null if invalid
+ */
+export function getImageDimensions(imageRef) {
+  const source = resolveImageSource(imageRef);
+  const imageData = source && parseImageRef(source.ref);
+  if (!imageData) {
+    return null;
+  }
+
+  const rect = getCropRect(source.crop, imageData);
+  return rect
+    ? { width: rect.width, height: rect.height }
+    : { width: imageData.width, height: imageData.height };
+}
+
 /**
  * Get optimized image URL for responsive loading
  * Automatically provides multiple sizes for responsive images
  *
- * @param {string} imageRef - Sanity image reference
+ * When a height is given it is scaled with each width so the aspect
+ * ratio (and therefore the hotspot framing) stays the same.
+ *
+ * @param {string|object} imageRef - Sanity image reference or image object
  * @param {object} options - Base options for image transformation
  * @returns {object} Object with different sized URLs
  */
 export function getResponsiveImageUrls(imageRef, options = {}) {
   try {
     const baseOptions = { ...options };
+    const sized = width => ({
+      ...baseOptions,
+      width,
+      height: baseOptions.width && baseOptions.height
+        ? Math.round(baseOptions.height * (width / baseOptions.width))
+        : baseOptions.height,
+    });
 
     return {
-      small: buildImageUrl(imageRef, { ...baseOptions, width: 400 }),
-      medium: buildImageUrl(imageRef, { ...baseOptions, width: 800 }),
-      large: buildImageUrl(imageRef, { ...baseOptions, width: 1200 }),
+      small: buildImageUrl(imageRef, sized(400)),
+      medium: buildImageUrl(imageRef, sized(800)),
+      large: buildImageUrl(imageRef, sized(1200)),
       original: buildImageUrl(imageRef, { ...baseOptions }),
     };
 
@@ -296,7 +947,7 @@ export function getResponsiveImageUrls(imageRef, options = {}) {
 /**
  * Preload Sanity images for better performance
  *
- * @param {Array} imageRefs - Array of Sanity image references
+ * @param {Array} imageRefs - Array of Sanity image references or image objects
  * @param {object} options - Image options
  */
 export function preloadSanityImages(imageRefs, options = {}) {
@@ -319,18 +970,19 @@ export function preloadSanityImages(imageRefs, options = {}) {
 /**
  * Utility function to check if an image reference is valid
  *
- * @param {string} imageRef - Sanity image reference
+ * @param {string|object} imageRef - Sanity image reference or image object
  * @returns {boolean} True if valid format
  */
 export function isValidImageRef(imageRef) {
-  return typeof imageRef === 'string' && /^image-[a-f0-9]+-\d+x\d+-[a-z]+$/i.test(imageRef);
+  const source = resolveImageSource(imageRef);
+  return Boolean(source) && /^image-[a-f0-9]+-\d+x\d+-[a-z]+$/i.test(source.ref);
 }
 
 /**
  * Get Sanity CDN URL for direct image access
  * Useful when you need to construct URLs manually
  *
- * @param {string} imageRef - Sanity image reference
+ * @param {string|object} imageRef - Sanity image reference or image object
  * @returns {string|null} CDN URL or null if invalid
  */
 export function getSanityImageCdnUrl(imageRef) {
@@ -339,12 +991,12 @@ export function getSanityImageCdnUrl(imageRef) {
       return null;
     }
 
-    const imageData = parseImageRef(imageRef);
+    const imageData = parseImageRef(resolveImageSource(imageRef).ref);
     if (!imageData) {
       return null;
     }
 
-    return `${sanityConfig.cdnUrl}/images/${sanityConfig.projectId}/${imageData.dataset}/${imageRef}`;
+    return getImageBaseUrl(imageData);
 
   } catch (error) {
     console.error('Error getting Sanity CDN URL:', error);
@@ -0,0 +1,178 @@
+/**
+ * Sanity Error Types for katgrapher.studio
+ *
+ * Typed errors thrown by fetchSanity so callers can tell a timeout from an
+ * auth failure from a GROQ syntax error, plus a helper that turns any of
+ * them into a short, actionable message for visitors.
+ *
+ * Features:
+ * - SanityHttpError, SanityQueryError, SanityTimeoutError, SanityNetworkError,
+ *   SanityCorsError and SanityCircuitOpenError, all extending SanityError
+ * - Structured fields: status, query, origin, retryable
+ * - describeSanityError() for user-facing copy
+ */
+
+/**
+ * Base class for errors raised while talking to Sanity
+ */
+export class SanityError extends Error {
+  /**
+   * @param {string} message - Short description
+   * @param {object} details - Structured details
+   * @param {number|null} details.status - HTTP status, if a response was received
+   * @param {string|null} details.query - GROQ query that failed
+   * @param {string|null} details.origin - Page origin the request was made from
+   * @param {boolean} details.retryable - Whether trying again may succeed
+   * @param {Error} details.cause - Underlying error
+   */
+  constructor(message, { status = null, query = null, origin = null, retryable = false, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'SanityError';
+    this.status = status;
+    this.query = query;
+    this.origin = origin;
+    this.retryable = retryable;
+  }
+}
+
+/**
+ * The API answered with an unsuccessful HTTP status
+ */
+export class SanityHttpError extends SanityError {
+  /**
+   * @param {string} message - Short description
+   * @param {object} details - SanityError details plus body and retryAfter (ms)
+   */
+  constructor(message, { body = null, retryAfter = null, ...details } = {}) {
+    super(message, details);
+    this.name = 'SanityHttpError';
+    this.body = body;
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * The GROQ query was rejected (syntax error, unknown parameter, ...)
+ */
+export class SanityQueryError extends SanityError {
+  /**
+   * @param {string} message - Short description
+   * @param {object} details - SanityError details plus description, type and start/end positions
+   */
+  constructor(message, { description = null, type = null, start = null, end = null, ...details } = {}) {
+    super(message, { ...details, retryable: false });
+    this.name = 'SanityQueryError';
+    this.description = description;
+    this.type = type;
+    this.start = start;
+    this.end = end;
+  }
+}
+
+/**
+ * No response arrived within retryConfig.timeout
+ */
+export class SanityTimeoutError extends SanityError {
+  /**
+   * @param {string} message - Short description
+   * @param {object} details - SanityError details plus timeout (ms)
+   */
+  constructor(message, { timeout = null, ...details } = {}) {
+    super(message, { ...details, retryable: true });
+    this.name = 'SanityTimeoutError';
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * The request never got a response (offline, DNS failure, connection reset)
+ */
+export class SanityNetworkError extends SanityError {
+  constructor(message, details = {}) {
+    super(message, { ...details, retryable: true });
+    this.name = 'SanityNetworkError';
+  }
+}
+
+/**
+ * The browser blocked the response because this origin isn't allowed
+ *
+ * Browsers report CORS failures exactly like network failures, so this is
+ * raised when a cross-origin request keeps failing while the browser is online.
+ */
+export class SanityCorsError extends SanityError {
+  constructor(message, details = {}) {
+    super(message, { ...details, retryable: false });
+    this.name = 'SanityCorsError';
+  }
+}
+
+/**
+ * Requests are paused by the circuit breaker after repeated failures
+ */
+export class SanityCircuitOpenError extends SanityError {
+  /**
+   * @param {string} message - Short description
+   * @param {object} details - SanityError details plus retryIn (ms until the next trial request,
+   *   or null while a trial request is already in flight)
+   */
+  constructor(message, { retryIn = null, ...details } = {}) {
+    super(message, { ...details, retryable: false });
+    this.name = 'SanityCircuitOpenError';
+    this.retryIn = retryIn;
+  }
+}
+
+/**
+ * Describe an error in terms a visitor (or the site owner) can act on
+ *
+ * @param {Error} error - Any error
+ * @returns {string|null} Message, or null if the error isn't a SanityError
+ */
+export function describeSanityError(error) {
+  if (error instanceof SanityCorsError) {
+    return `This site (${error.origin}) isn't allowed to load content. Add it under API > CORS origins in the Sanity project settings.`;
+  }
+
+  if (error instanceof SanityTimeoutError) {
+    return 'The content server took too long to respond. Check your connection and try again.';
+  }
+
+  if (error instanceof SanityNetworkError) {
+    return (typeof navigator !== 'undefined' && navigator.onLine === false)
+      ? 'You appear to be offline. Reconnect and try again.'
+      : "Couldn't reach the content server. Check your connection and try again.";
+  }
+
+  if (error instanceof SanityCircuitOpenError) {
+    return error.retryIn === null
+      ? 'Content is temporarily unavailable after repeated failures. Checking whether it is back; try again in a moment.'
+      : `Content is temporarily unavailable after repeated failures. Trying again in ${Math.ceil(error.retryIn / 1000)} seconds.`;
+  }
+
+  if (error instanceof SanityQueryError) {
+    return `The content query was rejected (${error.description || error.message}). Please report this issue.`;
+  }
+
+  if (error instanceof SanityHttpError) {
+    if (error.status === 401 || error.status === 403) {
+      return 'Access to content was denied. If you are previewing drafts, your preview token may have expired.';
+    }
+    if (error.status === 404) {
+      return 'The content dataset was not found. Check projectId and dataset in scripts/config.js.';
+    }
+    if (error.status === 429) {
+      return 'Too many requests to the content server. Please wait a moment and try again.';
+    }
+    if (error.status >= 500) {
+      return `The content server is having problems (HTTP ${error.status}). Please try again shortly.`;
+    }
+    return `The content server returned an error (HTTP ${error.status}).`;
+  }
+
+  if (error instanceof SanityError) {
+    return error.message;
+  }
+
+  return null;
+}
@@ -0,0 +1,260 @@
+/**
+ * Virtualized Photo Grid for katgrapher.studio
+ *
+ * This module keeps every loaded gallery photo in memory but only mounts
+ * the tiles near the viewport, so galleries with hundreds or thousands of
+ * photos stay smooth on phones. Tiles are positioned absolutely from the
+ * layout computed in gallery-layout.js, and #photo-grid keeps its full
+ * height so the scrollbar and the infinite scroll sentinel behave as if
+ * every tile were there.
+ *
+ * Features:
+ * - Opt-out via galleryConfig.virtualize
+ * - Works with the grid, justified and masonry layouts
+ * - Mounts tiles within galleryConfig.virtualOverscan pixels of the viewport
+ * - Takes over tiles already in the grid (such as pre-rendered ones)
+ * - Keeps the focused tile mounted, and DOM order matching photo order
+ * - Recomputes positions when the grid or window is resized
+ */
+
+import { galleryConfig } from './config.js';
+import { computeTileRects, getGridGap, getPhotoAspectRatio } from './gallery-layout.js';
+
+// Grid element and tile factory, while the virtualized grid is running
+let container = null;
+let createTile = null;
+
+// Photos in order, their positions and the total height
+let photos = [];
+let rects = [];
+
+// Mounted tiles by photo ID: { photo, element }
+const mounted = new Map();
+
+// Pending update frame
+let updateFrame = null;
+
+// Grid width the positions were computed for
+let measuredWidth = 0;
+
+// Removes the listeners added by the running instance
+let teardown = null;
+
+/**
+ * Start virtualizing the gallery grid if enabled
+ *
+ * @param {HTMLElement} photoGrid - Gallery grid element
+ * @param {Function} tileFactory - Creates the tile element for a photo
+ * @returns {boolean} True if the grid is virtualized
+ */
+export function startVirtualGrid(photoGrid, tileFactory) {
+  if (!galleryConfig.virtualize) {
+    return false;
+  }
+
+  if (container === photoGrid) {
+    return true;
+  }
+
+  stopVirtualGrid();
+
+  container = photoGrid;
+  createTile = tileFactory;
+
+  const scheduleUpdate = () => {
+    if (updateFrame === null) {
+      updateFrame = requestAnimationFrame(() => {
+        updateFrame = null;
+        updateWindow();
+      });
+    }
+  };
+
+  // Positions depend on the grid width, and the column count on the window width
+  const handleResize = () => {
+    measuredWidth = 0;
+    scheduleUpdate();
+  };
+
+  window.addEventListener('scroll', scheduleUpdate, { passive: true });
+  window.addEventListener('resize', handleResize);
+
+  let resizeObserver = null;
+  if (typeof ResizeObserver !== 'undefined') {
+    resizeObserver = new ResizeObserver(() => {
+      if (container.clientWidth !== measuredWidth) {
+        handleResize();
+      }
+    });
+    resizeObserver.observe(photoGrid);
+  }
+
+  teardown = () => {
+    window.removeEventListener('scroll', scheduleUpdate);
+    window.removeEventListener('resize', handleResize);
+    resizeObserver?.disconnect();
+  };
+
+  console.log('Virtualized gallery grid initialized');
+  return true;
+}
+
+/**
+ * Stop virtualizing and leave the grid as an ordinary container
+ */
+export function stopVirtualGrid() {
+  if (updateFrame !== null) {
+    cancelAnimationFrame(updateFrame);
+    updateFrame = null;
+  }
+
+  teardown?.();
+  teardown = null;
+
+  resetVirtualGrid();
+  container = null;
+  createTile = null;
+}
+
+/**
+ * Check whether the gallery grid is virtualized
+ *
+ * @returns {boolean} True while startVirtualGrid is in effect
+ */
+export function isVirtualGridActive() {
+  return container !== null;
+}
+
+/**
+ * Show a list of photos in the virtualized grid
+ * Tiles already in the grid for these photos are kept; anything else is removed.
+ *
+ * @param {Array<object>} nextPhotos - All loaded photos, in order
+ */
+export function setVirtualPhotos(nextPhotos) {
+  if (!container) {
+    return;
+  }
+
+  // Adopt tiles painted before virtualizing (pre-rendered or earlier pages)
+  if (!container.dataset.virtual) {
+    const photosById = new Map(nextPhotos.map(photo => [photo._id, photo]));
+    Array.from(container.children).forEach(child => {
+      const photo = photosById.get(child.dataset.photoId);
+      if (photo) {
+        mounted.set(photo._id, { photo, element: child });
+      } else {
+        child.remove();
+      }
+    });
+
+    container.dataset.virtual = 'true';
+    container.style.position = 'relative';
+  }
+
+  photos = nextPhotos;
+  measuredWidth = 0;
+  updateWindow();
+}
+
+/**
+ * Forget the virtualized photos and return the grid to normal flow
+ * Callers then paint loading, empty or error states as usual.
+ */
+export function resetVirtualGrid() {
+  photos = [];
+  rects = [];
+  measuredWidth = 0;
+  mounted.clear();
+
+  if (container) {
+    delete container.dataset.virtual;
+    container.style.position = '';
+    container.style.height = '';
+  }
+}
+
+/**
+ * Mount the tiles near the viewport and unmount the rest
+ */
+function updateWindow() {
+  if (!container?.dataset.virtual) {
+    return;
+  }
+
+  const width = container.clientWidth;
+  if (!width) {
+    return;
+  }
+
+  // Recompute positions only when the photos or the width change
+  if (width !== measuredWidth) {
+    const layout = computeTileRects(photos.map(photo => getPhotoAspectRatio(photo.image)), width, getGridGap(container));
+    rects = layout.rects;
+    container.style.height = `${Math.ceil(layout.height)}px`;
+    measuredWidth = width;
+  }
+
+  // Visible range in the grid's own coordinates, plus the overscan either side
+  const gridTop = container.getBoundingClientRect().top;
+  const rangeTop = -gridTop - galleryConfig.virtualOverscan;
+  const rangeBottom = -gridTop + window.innerHeight + galleryConfig.virtualOverscan;
+
+  // Keyboard users shouldn't lose the tile they're on
+  const focusedId = document.activeElement?.closest?.('.photo-item')?.dataset.photoId;
+
+  const visible = photos
+    .map((photo, index) => ({ photo, rect: rects[index] }))
+    .filter(({ photo, rect }) => photo._id === focusedId ||
+      (rect.top + rect.height >= rangeTop && rect.top <= rangeBottom));
+  const visibleIds = new Set(visible.map(({ photo }) => photo._id));
+
+  mounted.forEach(({ element }, id) => {
+    if (!visibleIds.has(id)) {
+      element.remove();
+      mounted.delete(id);
+    }
+  });
+
+  // Insert in photo order so tab order and screen readers follow the grid
+  let previous = null;
+  visible.forEach(({ photo, rect }) => {
+    let entry = mounted.get(photo._id);
+
+    // A live update may have replaced the photo's data
+    if (!entry || entry.photo !== photo) {
+      const element = createTile(photo);
+      entry?.element.replaceWith(element);
+      entry = { photo, element };
+      mounted.set(photo._id, entry);
+    }
+
+    positionTile(entry.element, rect);
+
+    const isInPlace = entry.element.parentNode === container &&
+      entry.element.previousElementSibling === previous;
+    if (!isInPlace) {
+      if (previous) {
+        previous.after(entry.element);
+      } else {
+        container.prepend(entry.element);
+      }
+    }
+    previous = entry.element;
+  });
+}
+
+/**
+ * Place a tile at its computed position
+ *
+ * @param {HTMLElement} element - Photo tile
+ * @param {object} rect - Object with top, left, width and height in pixels
+ */
+function positionTile(element, rect) {
+  element.style.position = 'absolute';
+  element.style.top = `${rect.top}px`;
+  element.style.left = `${rect.left}px`;
+  element.style.width = `${rect.width}px`;
+  element.style.height = `${rect.height}px`;
+  element.style.margin = '0';
+}
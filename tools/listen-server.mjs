@@ -0,0 +1,151 @@
+/**
+ * Local stand-in for the Sanity listen API
+ *
+ * Serves an EventSource stream that behaves like
+ * https://<projectId>.api.sanity.io/<apiVersion>/data/listen/<dataset>
+ * so live mode (scripts/live.js) can be exercised without touching Sanity.
+ *
+ * Usage:
+ *   node tools/listen-server.mjs            # listens on http://localhost:3334
+ *   PORT=4000 node tools/listen-server.mjs
+ *
+ * Point the site at it with liveConfig.listenHost = 'http://localhost:3334'
+ * and open a page with ?live=1. Then push events with:
+ *
+ *   curl -X POST http://localhost:3334/mutate \
+ *     -H 'Content-Type: application/json' \
+ *     -d '{"documentId":"photo-1","transition":"update","result":{"_id":"photo-1","_type":"photo"}}'
+ *
+ * The body is sent as the data of a `mutation` event. POST /disconnect sends
+ * a `disconnect` event that makes clients stop listening.
+ */
+
+import http from 'node:http';
+
+const port = Number(process.env.PORT) || 3334;
+
+// Open EventSource responses
+const clients = new Set();
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+
+  res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
+  res.setHeader('Access-Control-Allow-Credentials', 'true');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+
+  if (req.method === 'GET' && /^\/v[\w-]+\/data\/listen\/[\w-]+$/.test(url.pathname)) {
+    openStream(req, res, url);
+    return;
+  }
+
+  if (req.method === 'POST' && url.pathname === '/mutate') {
+    readJson(req)
+      .then(body => {
+        broadcast('mutation', {
+          eventId: `${body.documentId}#${Date.now()}`,
+          transition: 'update',
+          ...body,
+        });
+        res.writeHead(202, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ clients: clients.size }));
+      })
+      .catch(error => {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: error.message }));
+      });
+    return;
+  }
+
+  if (req.method === 'POST' && url.pathname === '/disconnect') {
+    broadcast('disconnect', { reason: 'Stand-in server requested disconnect' });
+    res.writeHead(202);
+    res.end();
+    return;
+  }
+
+  res.writeHead(404, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ error: 'Not found' }));
+});
+
+/**
+ * Start an EventSource stream for a listen request
+ *
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response kept open for events
+ * @param {URL} url - Parsed request URL
+ */
+function openStream(req, res, url) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+
+  clients.add(res);
+  const auth = req.headers.authorization ? 'with token' : 'anonymous';
+  console.log(`[listen] Client connected ${auth} (${clients.size} open) query=${url.searchParams.get('query')}`);
+
+  sendEvent(res, 'welcome', { listenerName: `stand-in-${Date.now()}` });
+
+  req.on('close', () => {
+    clients.delete(res);
+    console.log(`[listen] Client disconnected (${clients.size} open)`);
+  });
+}
+
+/**
+ * Send an event to every connected client
+ *
+ * @param {string} event - Event name
+ * @param {object} data - Event payload
+ */
+function broadcast(event, data) {
+  clients.forEach(res => sendEvent(res, event, data));
+  console.log(`[listen] Sent ${event} to ${clients.size} client(s)`);
+}
+
+/**
+ * Write a single server-sent event
+ *
+ * @param {http.ServerResponse} res - Open stream
+ * @param {string} event - Event name
+ * @param {object} data - Event payload
+ */
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Read and parse a JSON request body
+ *
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<object>} Parsed body
+ */
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      try {
+        const body = JSON.parse(raw);
+        if (!body.documentId) {
+          throw new Error('documentId is required');
+        }
+        resolve(body);
+      } catch (error) {
+        reject(error);
+      }
+    });
+  });
+}
+
+server.listen(port, () => {
+  console.log(`Sanity listen stand-in running at http://localhost:${port}`);
+});
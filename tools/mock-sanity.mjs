@@ -0,0 +1,382 @@
+/**
+ * Local mock of the Sanity query API and image CDN
+ *
+ * Loads a dataset in Sanity's NDJSON export format and answers GROQ
+ * queries against it with groq-js, so the site can be developed and
+ * tested offline. Image CDN paths built by buildImageUrl are answered
+ * with generated SVG placeholders at the requested size. The fixture
+ * assets mix LQIP, BlurHash-only and bare metadata, so every placeholder
+ * and palette accent path can be exercised.
+ *
+ * Usage:
+ *   npm run mock                                     # http://localhost:3333
+ *   PORT=4000 node tools/mock-sanity.mjs
+ *   DATASET_FILE=./export/data.ndjson node tools/mock-sanity.mjs
+ *
+ * The mock also serves the site from the repository root (falling back to
+ * dist/ for the compiled CSS) and injects window.__SANITY_CONFIG__ into
+ * every page, so http://localhost:3333/ talks to the mock with no config
+ * edits. To use it from another server instead, set sanityConfig.apiHost
+ * and sanityConfig.cdnUrl to http://localhost:3333.
+ *
+ * Endpoints:
+ *   GET|POST /<apiVersion>/data/query/<dataset>   GROQ query (perspective=previewDrafts supported)
+ *   GET      /images/<projectId>/<dataset>/<file> Placeholder image
+ *   POST     /reload                              Re-read the dataset file
+ */
+
+import http from 'node:http';
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parse, evaluate } from 'groq-js';
+
+const rootDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const port = Number(process.env.PORT) || 3333;
+const datasetFile = path.resolve(process.env.DATASET_FILE || path.join(rootDir, 'tools/fixtures/dataset.ndjson'));
+
+// Optional artificial latency (ms), handy for checking loading states
+const delay = Number(process.env.DELAY) || 0;
+
+// Content types for files served from the repository
+const STATIC_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.ico': 'image/x-icon',
+  '.json': 'application/json',
+  '.xml': 'application/xml',
+  '.txt': 'text/plain; charset=utf-8',
+};
+
+// Loaded documents
+let documents = [];
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+
+  res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
+  res.setHeader('Access-Control-Allow-Credentials', 'true');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+
+  const handle = () => {
+    if (/^\/v[\w-]+\/data\/query\/[\w-]+$/.test(url.pathname)) {
+      return handleQuery(req, res, url);
+    }
+
+    if (req.method === 'GET' && url.pathname.startsWith('/images/')) {
+      return handleImage(res, url);
+    }
+
+    if (req.method === 'POST' && url.pathname === '/reload') {
+      return loadDataset().then(() => sendJson(res, 200, { documents: documents.length }));
+    }
+
+    if (req.method === 'GET') {
+      return handleStatic(res, url);
+    }
+
+    sendJson(res, 404, { error: 'Not found' });
+  };
+
+  setTimeout(() => {
+    Promise.resolve()
+      .then(handle)
+      .catch(error => {
+        console.error('[mock] Request failed:', error);
+        sendJson(res, 500, { error: { description: error.message, type: 'internalError' } });
+      });
+  }, delay);
+});
+
+/**
+ * Answer a GROQ query the way the Sanity query API does
+ *
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {URL} url - Parsed request URL
+ */
+async function handleQuery(req, res, url) {
+  const started = Date.now();
+  let query;
+  let params;
+
+  try {
+    ({ query, params } = req.method === 'POST'
+      ? await readQueryBody(req)
+      : readQueryParams(url.searchParams));
+  } catch (error) {
+    sendJson(res, 400, { error: { description: error.message, type: 'httpBadRequest' } });
+    return;
+  }
+
+  if (!query) {
+    sendJson(res, 400, { error: { description: 'Missing query parameter', type: 'httpBadRequest' } });
+    return;
+  }
+
+  const perspective = url.searchParams.get('perspective') || 'published';
+  let tree;
+
+  try {
+    tree = parse(query, { params });
+  } catch (error) {
+    // Same shape as the real API's query parse errors
+    sendJson(res, 400, {
+      error: {
+        description: error.message,
+        query,
+        start: error.position,
+        end: error.position + 1,
+        type: 'queryParseError',
+      },
+    });
+    return;
+  }
+
+  const value = await evaluate(tree, { dataset: applyPerspective(documents, perspective), params });
+  const result = await value.get();
+
+  console.log(`[mock] ${perspective} query (${Date.now() - started}ms): ${query.replace(/\s+/g, ' ').trim().slice(0, 100)}`);
+  sendJson(res, 200, { query, result, ms: Date.now() - started });
+}
+
+/**
+ * Read query and params from GET search parameters
+ * Parameters are passed as `$name=<json>`, like the real API.
+ *
+ * @param {URLSearchParams} searchParams - Request search parameters
+ * @returns {object} Object with query and params
+ */
+function readQueryParams(searchParams) {
+  const params = {};
+
+  searchParams.forEach((value, key) => {
+    if (key.startsWith('$')) {
+      params[key.slice(1)] = JSON.parse(value);
+    }
+  });
+
+  return { query: searchParams.get('query'), params };
+}
+
+/**
+ * Read query and params from a POST body
+ *
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<object>} Object with query and params
+ */
+async function readQueryBody(req) {
+  let raw = '';
+  for await (const chunk of req) {
+    raw += chunk;
+  }
+
+  const body = JSON.parse(raw || '{}');
+  return { query: body.query, params: body.params || {} };
+}
+
+/**
+ * Build the document set a perspective sees
+ * - published: drafts are hidden
+ * - previewDrafts: drafts replace their published version, keeping _originalId
+ * - raw: everything
+ *
+ * @param {Array<object>} docs - All documents
+ * @param {string} perspective - Perspective name
+ * @returns {Array<object>} Documents visible to the query
+ */
+function applyPerspective(docs, perspective) {
+  if (perspective === 'raw') {
+    return docs;
+  }
+
+  const published = docs.filter(doc => !doc._id.startsWith('drafts.'));
+
+  if (perspective !== 'previewDrafts') {
+    return published;
+  }
+
+  const merged = new Map(published.map(doc => [doc._id, { ...doc, _originalId: doc._id }]));
+  docs
+    .filter(doc => doc._id.startsWith('drafts.'))
+    .forEach(draft => {
+      const id = draft._id.slice('drafts.'.length);
+      merged.set(id, { ...draft, _id: id, _originalId: draft._id });
+    });
+
+  return Array.from(merged.values());
+}
+
+/**
+ * Serve a placeholder for an image CDN URL
+ * Path: /images/<projectId>/<dataset>/<assetId>-<W>x<H>.<ext>
+ *
+ * @param {http.ServerResponse} res - Response
+ * @param {URL} url - Parsed request URL
+ */
+function handleImage(res, url) {
+  const match = /^\/images\/[\w-]+\/[\w-]+\/([a-f0-9]+)-(\d+)x(\d+)\.\w+$/i.exec(url.pathname);
+  if (!match) {
+    sendJson(res, 404, { error: 'Unknown image path' });
+    return;
+  }
+
+  const [, assetId, sourceWidth, sourceHeight] = match;
+  const { width, height } = getOutputSize(url.searchParams, Number(sourceWidth), Number(sourceHeight));
+  const asset = documents.find(doc => doc._type === 'sanity.imageAsset' && doc.assetId === assetId);
+  const background = asset?.metadata?.palette?.dominant?.background || `#${assetId.slice(0, 6)}`;
+  const accent = asset?.metadata?.palette?.vibrant?.background || '#22c55e';
+
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+  <rect width="100%" height="100%" fill="${background}"/>
+  <circle cx="${width / 2}" cy="${height / 2}" r="${Math.min(width, height) / 4}" fill="${accent}" opacity="0.6"/>
+  <text x="50%" y="50%" dominant-baseline="middle" text-anchor="middle" fill="#fff" font-family="sans-serif" font-size="${Math.max(12, Math.round(width / 16))}">${width}×${height}</text>
+</svg>`;
+
+  res.writeHead(200, {
+    'Content-Type': 'image/svg+xml',
+    'Cache-Control': 'public, max-age=3600',
+  });
+  res.end(svg);
+}
+
+/**
+ * Work out the output size for image API parameters
+ *
+ * @param {URLSearchParams} searchParams - w, h and rect parameters
+ * @param {number} sourceWidth - Asset width
+ * @param {number} sourceHeight - Asset height
+ * @returns {object} Object with width and height
+ */
+function getOutputSize(searchParams, sourceWidth, sourceHeight) {
+  let baseWidth = sourceWidth;
+  let baseHeight = sourceHeight;
+
+  // rect=left,top,width,height crops before resizing
+  const rect = searchParams.get('rect')?.split(',').map(Number);
+  if (rect?.length === 4 && rect.every(Number.isFinite)) {
+    baseWidth = rect[2];
+    baseHeight = rect[3];
+  }
+
+  const w = Number(searchParams.get('w')) || null;
+  const h = Number(searchParams.get('h')) || null;
+
+  if (w && h) {
+    return { width: w, height: h };
+  }
+  if (w) {
+    return { width: w, height: Math.round(w * baseHeight / baseWidth) };
+  }
+  if (h) {
+    return { width: Math.round(h * baseWidth / baseHeight), height: h };
+  }
+  return { width: baseWidth, height: baseHeight };
+}
+
+/**
+ * Serve a file from the repository (or dist/ as a fallback)
+ * HTML pages get window.__SANITY_CONFIG__ pointing at this server.
+ *
+ * @param {http.ServerResponse} res - Response
+ * @param {URL} url - Parsed request URL
+ */
+async function handleStatic(res, url) {
+  const pathname = decodeURIComponent(url.pathname.endsWith('/') ? `${url.pathname}index.html` : url.pathname);
+
+  // Keep .git, .env and friends private
+  if (pathname.split('/').some(segment => segment.startsWith('.'))) {
+    sendJson(res, 404, { error: 'Not found' });
+    return;
+  }
+
+  for (const baseDir of [rootDir, path.join(rootDir, 'dist')]) {
+    const filePath = path.join(baseDir, pathname);
+
+    // Never serve anything outside the base directory
+    if (!filePath.startsWith(baseDir + path.sep)) {
+      break;
+    }
+
+    let content;
+    try {
+      content = await readFile(filePath);
+    } catch {
+      continue;
+    }
+
+    const extension = path.extname(filePath);
+    if (extension === '.html') {
+      content = injectConfig(content.toString());
+    }
+
+    res.writeHead(200, {
+      'Content-Type': STATIC_TYPES[extension] || 'application/octet-stream',
+      'Cache-Control': 'no-cache',
+    });
+    res.end(content);
+    return;
+  }
+
+  sendJson(res, 404, { error: 'Not found' });
+}
+
+/**
+ * Add the runtime config override to an HTML page
+ *
+ * @param {string} html - Page markup
+ * @returns {string} Markup with an inline config script in <head>
+ */
+function injectConfig(html) {
+  const origin = `http://localhost:${port}`;
+  const script = `<script>window.__SANITY_CONFIG__ = ${JSON.stringify({ apiHost: origin, cdnUrl: origin })};</script>`;
+  return html.replace('<head>', `<head>\n    ${script}`);
+}
+
+/**
+ * Send a JSON response
+ *
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {object} body - Response body
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Read the NDJSON dataset file
+ */
+async function loadDataset() {
+  const raw = await readFile(datasetFile, 'utf8');
+  documents = raw
+    .split('\n')
+    .filter(line => line.trim())
+    .map((line, index) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        throw new Error(`${datasetFile}:${index + 1}: ${error.message}`);
+      }
+    });
+
+  console.log(`[mock] Loaded ${documents.length} documents from ${path.relative(process.cwd(), datasetFile)}`);
+}
+
+await loadDataset();
+
+server.listen(port, () => {
+  console.log(`Sanity mock running at http://localhost:${port}`);
+});
@@ -0,0 +1,154 @@
+/**
+ * Build-time pre-rendering of CMS content
+ *
+ * Runs the same GROQ queries and rendering code as the browser against the
+ * built pages in dist/, so project cards, the photo teaser, the projects
+ * index, the gallery filter bar and the first gallery page are in the HTML
+ * before any JavaScript runs. Each pre-rendered container is marked with
+ * a signature of the data it was built from;
+ * scripts/render.js keeps the markup and only repaints if the live data
+ * has changed since the build.
+ *
+ * If Sanity can't be reached the section is left as it was and the build
+ * carries on; the browser renders it at runtime as before.
+ *
+ * Usage (run by `npm run build` after the pages are copied):
+ *   node tools/prerender.mjs
+ *   SANITY_API_HOST=http://localhost:3333 SANITY_CDN_URL=http://localhost:3333 node tools/prerender.mjs
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseHTML } from 'linkedom';
+
+// Restored once the pages are written
+const NodeCustomEvent = globalThis.CustomEvent;
+
+const rootDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const distDir = path.join(rootDir, 'dist');
+
+// Same override hook the mock server uses in the browser; must be set before config.js loads
+const configOverride = {};
+if (process.env.SANITY_API_HOST) {
+  configOverride.apiHost = process.env.SANITY_API_HOST;
+}
+if (process.env.SANITY_CDN_URL) {
+  configOverride.cdnUrl = process.env.SANITY_CDN_URL;
+}
+if (Object.keys(configOverride).length > 0) {
+  globalThis.__SANITY_CONFIG__ = configOverride;
+}
+
+const {
+  fetchFeaturedProjects,
+  fetchAllProjects,
+  fetchFeaturedPhotos,
+  fetchPhotos,
+  fetchPhotoCount,
+  fetchCategories,
+  paintProjects,
+  paintProjectIndex,
+  paintPhotoTeaser,
+  paintGallery,
+  paintCategoryFilters,
+  findProjectsContainer,
+  findProjectIndexContainer,
+  findPhotoTeaserContainer,
+  getDataSignature,
+} = await import('../scripts/render.js');
+
+// Sections to pre-render, per page
+const PAGES = {
+  'index.html': [
+    {
+      name: 'projects',
+      find: findProjectsContainer,
+      load: () => fetchFeaturedProjects({ cache: false }),
+      paint: paintProjects,
+    },
+    {
+      name: 'photo teaser',
+      find: findPhotoTeaserContainer,
+      load: () => fetchFeaturedPhotos({ cache: false }),
+      paint: paintPhotoTeaser,
+    },
+  ],
+  'projects.html': [
+    {
+      name: 'projects index',
+      find: findProjectIndexContainer,
+      load: () => fetchAllProjects({ cache: false }),
+      paint: paintProjectIndex,
+    },
+  ],
+  'gallery.html': [
+    {
+      name: 'category filters',
+      find: () => document.getElementById('category-filters'),
+      load: () => fetchCategories({ cache: false }),
+      paint: paintCategoryFilters,
+    },
+    {
+      name: 'gallery',
+      find: () => document.getElementById('photo-grid'),
+      load: async () => {
+        const [photos, total] = await Promise.all([
+          fetchPhotos('all', 0, undefined, { cache: false }),
+          fetchPhotoCount('all', { cache: false }),
+        ]);
+        return { photos, total };
+      },
+      paint: paintGallery,
+    },
+  ],
+};
+
+/**
+ * Pre-render the CMS sections of one page in place
+ *
+ * @param {string} fileName - Page file name inside dist/
+ * @param {Array<object>} sections - Sections to render
+ * @returns {Promise<number>} Number of sections rendered
+ */
+async function prerenderPage(fileName, sections) {
+  const filePath = path.join(distDir, fileName);
+  const { document, CustomEvent } = parseHTML(await readFile(filePath, 'utf8'));
+
+  // The renderers use the global document and events, as in the browser
+  // (Node's own CustomEvent can't be dispatched on linkedom nodes)
+  globalThis.document = document;
+  globalThis.CustomEvent = CustomEvent;
+
+  let rendered = 0;
+
+  for (const section of sections) {
+    const container = section.find();
+    if (!container) {
+      console.warn(`[prerender] ${fileName}: ${section.name} container not found, skipping`);
+      continue;
+    }
+
+    try {
+      const data = await section.load();
+      section.paint(container, data);
+      container.dataset.prerendered = getDataSignature(data);
+      rendered++;
+    } catch (error) {
+      console.warn(`[prerender] ${fileName}: ${section.name} left for runtime rendering (${error.message})`);
+    }
+  }
+
+  await writeFile(filePath, document.toString());
+  return rendered;
+}
+
+try {
+  for (const [fileName, sections] of Object.entries(PAGES)) {
+    const rendered = await prerenderPage(fileName, sections);
+    console.log(`[prerender] ${fileName}: ${rendered}/${sections.length} sections rendered`);
+  }
+} finally {
+  delete globalThis.document;
+  globalThis.CustomEvent = NodeCustomEvent;
+}